@@ -9,18 +9,22 @@ const apiBaseUrl = 'https://greenur-backend.onrender.com'; // Replace with your
 const apiSecretKey = 'YOUR_API_KEY'; // Replace with your actual API key
 const useAudio = true; // Set to true to enable audio input/output
 
-// Model Configuration
-const modelOptions = [
-  { id: 'gemini-2.0-flash-lite', type: 'gemini', name: 'Gemini 2.0 Flash Lite' },
-  { id: 'gemini-2.0-flash', type: 'gemini', name: 'Gemini 2.0 Flash' },
-  { id: 'gpt-4o-mini', type: 'openai', name: 'GPT-4o Mini' }
+// Model Configuration - replaced by the server's list once fetchAvailableModels() completes
+let modelOptions = [
+  { id: 'gpt-4o-mini', type: 'openai', provider: 'OpenAI', default: true }
 ];
 
 // Default model
-const defaultModel = modelOptions[1]; // Gemini 2.0 Flash
+let defaultModel = modelOptions[0];
 
-// WebSocket URL with authentication
-const wsUrl = `${apiBaseUrl.replace('https://', 'wss://').replace('http://', 'ws://')}?api_key=${apiSecretKey}`;
+// WebSocket URL; a ticket from /api/ws-ticket is added for every connection
+const wsUrl = apiBaseUrl.replace('https://', 'wss://').replace('http://', 'ws://');
+
+// REST requests send the API key in a header, never in the URL
+const authHeaders = { 'Authorization': `Bearer ${apiSecretKey}` };
+
+// Session id reported by the server, sent back on reconnect to resume the conversation
+let sessionId = null;
 
 // Connection state
 let socket;
@@ -28,14 +32,77 @@ let connectionId;
 let isConnected = false;
 let isAssistantSpeaking = false;
 let activeAudioPlayer = null;
+let audioQueue = []; // Audio chunks waiting to be played
 let availableVoices = [];
 let selectedVoice = 'en-US-Neural2-F'; // Default voice
 
+// Play the next queued audio chunk, if any
+function playNextAudioChunk() {
+  const chunk = audioQueue.shift();
+  if (!chunk) {
+    isAssistantSpeaking = false;
+    activeAudioPlayer = null;
+    console.log('Assistant finished speaking');
+    return;
+  }
+  
+  // Convert the base64 audio to a blob and play it
+  const audioData = atob(chunk.audio);
+  const arrayBuffer = new ArrayBuffer(audioData.length);
+  const uint8Array = new Uint8Array(arrayBuffer);
+  
+  for (let i = 0; i < audioData.length; i++) {
+    uint8Array[i] = audioData.charCodeAt(i);
+  }
+  
+  const audioBlob = new Blob([arrayBuffer], { type: 'audio/mp3' });
+  const audioUrl = URL.createObjectURL(audioBlob);
+  
+  activeAudioPlayer = new Audio(audioUrl);
+  
+  // Set up event listeners for the audio player
+  activeAudioPlayer.addEventListener('play', () => {
+    isAssistantSpeaking = true;
+    console.log('Assistant speaking chunk', chunk.sequence, '(voice:', chunk.voice || 'default', ')');
+  });
+  
+  activeAudioPlayer.addEventListener('ended', () => {
+    // Clean up and continue with the next sentence
+    URL.revokeObjectURL(audioUrl);
+    playNextAudioChunk();
+  });
+  
+  // Start playing
+  activeAudioPlayer.play();
+}
+
+// Get a single-use WebSocket ticket, bound to the current session when resuming
+async function fetchWsTicket() {
+  const response = await fetch(`${apiBaseUrl}/api/ws-ticket`, {
+    method: 'POST',
+    headers: { ...authHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: sessionId || undefined })
+  });
+  if (!response.ok) throw new Error('Failed to get a WebSocket ticket');
+  
+  const { ticket } = await response.json();
+  return ticket;
+}
+
 // Connect to the WebSocket server
-function connect() {
+async function connect() {
   console.log('Connecting to Botanist AI service...');
   
-  socket = new WebSocket(wsUrl);
+  let ticket;
+  try {
+    ticket = await fetchWsTicket();
+  } catch (error) {
+    console.error('Error getting a WebSocket ticket:', error);
+    setTimeout(connect, 3000);
+    return;
+  }
+  
+  socket = new WebSocket(`${wsUrl}?ticket=${encodeURIComponent(ticket)}`);
   
   // Connection opened
   socket.addEventListener('open', (event) => {
@@ -45,8 +112,9 @@ function connect() {
     // Send configuration
     sendConfig();
     
-    // Fetch available voices
+    // Fetch available voices and models
     fetchAvailableVoices();
+    fetchAvailableModels();
   });
   
   // Listen for messages
@@ -77,7 +145,7 @@ function connect() {
 // Fetch available voices
 async function fetchAvailableVoices() {
   try {
-    const response = await fetch(`${apiBaseUrl}/api/list-voices?api_key=${apiSecretKey}`);
+    const response = await fetch(`${apiBaseUrl}/api/list-voices`, { headers: authHeaders });
     if (!response.ok) throw new Error('Failed to fetch voices');
     
     const voices = await response.json();
@@ -94,13 +162,29 @@ async function fetchAvailableVoices() {
   }
 }
 
+// Fetch the models configured on the server
+async function fetchAvailableModels() {
+  try {
+    const response = await fetch(`${apiBaseUrl}/api/models`, { headers: authHeaders });
+    if (!response.ok) throw new Error('Failed to fetch models');
+    
+    modelOptions = await response.json();
+    defaultModel = modelOptions.find(model => model.default) || modelOptions[0];
+    
+    console.log('Available models:', modelOptions.map(m => `${m.id} (${m.type})`));
+  } catch (error) {
+    console.error('Error fetching models:', error);
+  }
+}
+
 // Preview a voice
 async function previewVoice(voiceName) {
   try {
     const sampleText = "Hello, I'm your botanist assistant. How can I help with your plants today?";
     
     const response = await fetch(
-      `${apiBaseUrl}/api/preview-voice?api_key=${apiSecretKey}&voiceName=${voiceName}&text=${encodeURIComponent(sampleText)}`
+      `${apiBaseUrl}/api/preview-voice?voiceName=${voiceName}&text=${encodeURIComponent(sampleText)}`,
+      { headers: authHeaders }
     );
     
     if (!response.ok) throw new Error('Failed to preview voice');
@@ -126,6 +210,7 @@ function sendConfig() {
     modelId: defaultModel.id,
     modelType: defaultModel.type,
     audioSession: useAudio,
+    legacyAudioMessage: false, // Play the streamed audio_chunk events only
     voice: selectedVoice
   };
   
@@ -158,7 +243,8 @@ function sendTextMessage(message) {
 function interruptAssistant() {
   if (!isConnected || !isAssistantSpeaking) return;
   
-  // Stop audio playback
+  // Stop audio playback and drop sentences that have not been played yet
+  audioQueue = [];
   if (activeAudioPlayer) {
     activeAudioPlayer.pause();
     activeAudioPlayer = null;
@@ -210,7 +296,8 @@ function handleServerMessage(data) {
   switch(data.type) {
     case 'connected':
       connectionId = data.connectionId;
-      console.log('Connection established with ID:', connectionId);
+      sessionId = data.sessionId;
+      console.log('Connection established with ID:', connectionId, data.resumed ? `(resumed session ${sessionId})` : '');
       break;
       
     case 'config_acknowledged':
@@ -223,52 +310,47 @@ function handleServerMessage(data) {
       // Example: updateChatUI(data.text, 'user');
       break;
       
+    case 'bot_message_delta':
+      // Append the streamed text to the message with this id
+      console.log('Bot response delta:', data.delta);
+      // Example: appendToChatMessage(data.id, data.delta);
+      break;
+      
+    case 'bot_message_done':
+      // The streamed message is complete (or was interrupted)
+      console.log('Bot response complete:', data.interrupted ? '(interrupted)' : data.text);
+      // Example: finishChatMessage(data.id, data.text);
+      break;
+      
     case 'bot_message':
-      // Display the bot's text response
+      // Complete response, already shown through the delta events
       console.log('Bot response:', data.text);
-      // Example: updateChatUI(data.text, 'bot');
       break;
       
-    case 'audio_message':
+    case 'tool_call':
+      // The assistant is looking something up, e.g. a care sheet
+      console.log('Tool call:', data.name, data.arguments);
+      // Example: showToolCard(data.id, data.toolCallId, data.name);
+      break;
+      
+    case 'tool_result':
+      console.log('Tool result:', data.name, data.result);
+      // Example: updateToolCard(data.toolCallId, data.result);
+      break;
+      
+    case 'audio_chunk':
       if (useAudio) {
-        // Convert the base64 audio to a blob and play it
-        const audioData = atob(data.audio);
-        const arrayBuffer = new ArrayBuffer(audioData.length);
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        for (let i = 0; i < audioData.length; i++) {
-          uint8Array[i] = audioData.charCodeAt(i);
-        }
-        
-        const audioBlob = new Blob([arrayBuffer], { type: 'audio/mp3' });
-        const audioUrl = URL.createObjectURL(audioBlob);
-        
-        activeAudioPlayer = new Audio(audioUrl);
-        
-        // Set up event listeners for the audio player
-        activeAudioPlayer.addEventListener('play', () => {
-          isAssistantSpeaking = true;
-          console.log('Assistant started speaking (voice:', data.voice || 'default', ')');
-        });
-        
-        activeAudioPlayer.addEventListener('ended', () => {
-          isAssistantSpeaking = false;
-          activeAudioPlayer = null;
-          console.log('Assistant finished speaking');
-          
-          // Clean up
-          URL.revokeObjectURL(audioUrl);
-        });
-        
-        activeAudioPlayer.addEventListener('pause', () => {
-          if (isAssistantSpeaking) {
-            isAssistantSpeaking = false;
-            console.log('Audio playback paused');
+        // Chunks arrive in sequence order; queue them so sentences play back to back
+        if (data.audio) {
+          audioQueue.push(data);
+          if (!activeAudioPlayer) {
+            playNextAudioChunk();
           }
-        });
+        }
         
-        // Start playing
-        activeAudioPlayer.play();
+        if (data.final) {
+          console.log('Received last audio chunk of message', data.id);
+        }
       }
       break;
       
@@ -431,11 +513,12 @@ async function sendRESTMessage(message, options = {}) {
     const response = await fetch(url.toString(), {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': apiSecretKey
+        ...authHeaders,
+        'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         message: message,
+        sessionId: sessionId || undefined, // Share the conversation with the WebSocket session
         modelId: modelId,
         modelType: modelType,
         voice: voice
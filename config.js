@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rate limits and daily quotas per API key and per session (0 = unlimited); RATE_LIMITS overrides them
+const DEFAULT_RATE_LIMITS = {
+  key: { requestsPerMinute: 120, concurrentConnections: 20, llmTokensPerDay: 0, sttSecondsPerDay: 0, ttsCharsPerDay: 0 },
+  session: { requestsPerMinute: 30, llmTokensPerDay: 0, sttSecondsPerDay: 0, ttsCharsPerDay: 0 }
+};
+
+// Price fields understood by the usage report
+const USAGE_PRICE_FIELDS = ['promptPer1M', 'completionPer1M', 'perMinute', 'per1MChars'];
+
+// Every setting with its type, default and constraints. Keys are the environment
+// variable names; the optional CONFIG_FILE uses the same names and environment
+// variables take precedence over it. A default can be a function of the settings
+// resolved before it.
+const CONFIG_SCHEMA = {
+  // Server
+  NODE_ENV: { type: 'string', default: 'development' },
+  PORT: { type: 'integer', default: 3000, min: 1, max: 65535 },
+  LOG_LEVEL: { type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info' },
+  LOG_TRANSCRIPTS: { type: 'boolean', default: false },
+  
+  // Credentials
+  OPENAI_API_KEY: { type: 'string', required: true },
+  GEMINI_API_KEY: { type: 'string' },
+  GOOGLE_CREDENTIALS_JSON: { type: 'custom', parse: parseGoogleCredentials },
+  GOOGLE_APPLICATION_CREDENTIALS: { type: 'string' },
+  API_SECRET_KEY: { type: 'string' },
+  API_KEYS_PATH: { type: 'string', default: path.join(__dirname, 'data', 'api-keys.json') },
+  
+  // Defaults for new sessions and replies
+  DEFAULT_MODEL_TYPE: { type: 'string', default: 'openai' },
+  DEFAULT_MODEL: { type: 'string', default: 'gpt-4o-mini' },
+  DEFAULT_VOICE: { type: 'string', default: 'en-IN-Chirp3-HD-Orus', pattern: /^[a-z]{2,3}-[A-Z]{2}-\S+$/ },
+  DEFAULT_VOICE_GENDER: { type: 'enum', values: ['MALE', 'FEMALE', 'NEUTRAL'], default: 'MALE' },
+  LLM_TEMPERATURE: { type: 'number', default: 0.3, min: 0, max: 2 },
+  LLM_MAX_TOKENS: { type: 'integer', default: 200, min: 1 },
+  CONTEXT_TOKEN_BUDGET: { type: 'integer', default: 3000, min: 100 },
+  CONTEXT_TOKEN_BUDGETS: { type: 'json', default: {}, validate: value => checkNumberMap(value, { integer: true, min: 100 }) },
+  
+  // LLM providers
+  OPENAI_MODELS: { type: 'list', default: ['gpt-4o-mini', 'gpt-4o'] },
+  GEMINI_MODELS: { type: 'list', default: ['gemini-2.0-flash', 'gemini-2.0-flash-lite'] },
+  GEMINI_API_BASE_URL: { type: 'url', default: 'https://generativelanguage.googleapis.com/v1beta' },
+  OPENAI_COMPATIBLE_BASE_URL: { type: 'url' },
+  OPENAI_COMPATIBLE_MODELS: { type: 'list', default: [] },
+  OPENAI_COMPATIBLE_TYPE: { type: 'string', default: 'local' },
+  OPENAI_COMPATIBLE_NAME: { type: 'string', default: 'Local model server' },
+  OPENAI_COMPATIBLE_API_KEY: { type: 'string' },
+  OPENAI_COMPATIBLE_VISION: { type: 'boolean', default: false },
+  OPENAI_COMPATIBLE_STREAM_USAGE: { type: 'boolean', default: true },
+  LLM_FALLBACK_CHAIN: { type: 'custom', default: 'openai:gpt-4o-mini,gemini:gemini-2.0-flash', parse: parseFallbackChain },
+  LLM_MAX_RETRIES: { type: 'integer', default: 2, min: 0 },
+  LLM_RETRY_BASE_DELAY_MS: { type: 'integer', default: 500, min: 0 },
+  LLM_CIRCUIT_FAILURE_THRESHOLD: { type: 'integer', default: 3, min: 1 },
+  LLM_CIRCUIT_COOLDOWN_MS: { type: 'integer', default: 60000, min: 0 },
+  LLM_TOOLS_ENABLED: { type: 'boolean', default: true },
+  LLM_MAX_TOOL_ROUNDS: { type: 'integer', default: 3, min: 0 },
+  
+  // Sessions and users
+  SESSION_STORE: { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  SESSION_STORE_PATH: { type: 'string', default: path.join(__dirname, 'data', 'sessions.json') },
+  SESSION_TTL_MS: { type: 'integer', default: 24 * 60 * 60 * 1000, min: 1000 },
+  SESSION_MAX_COUNT: { type: 'integer', default: 10000, min: 1 },
+  USER_STORE: { type: 'enum', values: ['memory', 'file'], default: settings => settings.SESSION_STORE },
+  USER_STORE_PATH: { type: 'string', default: path.join(__dirname, 'data', 'users.json') },
+  MAX_CONTEXT_PLANTS: { type: 'integer', default: 10, min: 0 },
+  
+  // WebSocket tickets
+  WS_TICKET_TTL_MS: { type: 'integer', default: 60000, min: 1000 },
+  WS_TICKET_SECRET: { type: 'string' },
+  WS_API_KEY_IN_URL: { type: 'boolean', default: false },
+  
+  // Spoken replies
+  WS_LEGACY_AUDIO_MESSAGE: { type: 'boolean', default: true },
+  
+  // Rate limits and usage metering
+  RATE_LIMITS: { type: 'custom', default: {}, parse: parseRateLimits },
+  USAGE_METERING_ENABLED: { type: 'boolean', default: true },
+  USAGE_LOG_PATH: { type: 'string', default: path.join(__dirname, 'data', 'usage.jsonl') },
+  USAGE_PRICES: { type: 'json', default: {}, validate: checkUsagePrices },
+  
+  // Knowledge, personas, photos and replies
+  CARE_REQUIREMENTS_PATH: { type: 'string', default: path.join(__dirname, 'plant-data', 'care-requirements.json') },
+  KNOWLEDGE_BASE_DIR: { type: 'string', default: path.join(__dirname, 'knowledge') },
+  KNOWLEDGE_TOP_K: { type: 'integer', default: 3, min: 0 },
+  KNOWLEDGE_MIN_SCORE: { type: 'number', default: 1, min: 0 },
+  PERSONAS_DIR: { type: 'string', default: path.join(__dirname, 'config', 'personas') },
+  DEFAULT_PERSONA: { type: 'string', default: 'botanist' },
+  DEFAULT_REGION: { type: 'string', default: 'India' },
+  MAX_IMAGE_BYTES: { type: 'integer', default: 5 * 1024 * 1024, min: 1024 },
+  STRUCTURED_MAX_TOKENS: { type: 'integer', default: 600, min: 1 },
+  STRUCTURED_REPAIR_ATTEMPTS: { type: 'integer', default: 1, min: 0 },
+  
+  // Guardrail
+  GUARDRAIL_ENABLED: { type: 'boolean', default: true },
+  GUARDRAIL_CONFIG_PATH: { type: 'string', default: path.join(__dirname, 'config', 'guardrails.json') },
+  GUARDRAIL_MODERATION: { type: 'enum', values: ['none', 'openai'], default: 'none' }
+};
+
+/**
+ * Load and validate the configuration
+ * 
+ * Settings come from the environment and, when CONFIG_FILE names a JSON
+ * file, from that file. Returns { config, errors }: every problem is listed
+ * in errors, and settings with invalid values keep their defaults so the
+ * caller can still log the errors before exiting.
+ */
+function loadConfig(env) {
+  const errors = [];
+  
+  let fileSettings = {};
+  if (env.CONFIG_FILE) {
+    const loaded = readConfigFile(env.CONFIG_FILE);
+    if (loaded.error) {
+      errors.push(loaded.error);
+    } else {
+      fileSettings = loaded.settings;
+    }
+  }
+  
+  const config = {};
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const source = env[name] !== undefined && env[name] !== '' ? 'environment' : 'config file';
+    const rawValue = source === 'environment' ? env[name] : fileSettings[name];
+    
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+      if (spec.required) {
+        errors.push(`${name} is required`);
+      }
+      config[name] = getDefault(spec, config);
+      continue;
+    }
+    
+    const parsed = parseSetting(spec, rawValue);
+    if (parsed.error) {
+      errors.push(`${name} (${source}) ${parsed.error}`);
+      config[name] = getDefault(spec, config);
+    } else {
+      config[name] = parsed.value;
+    }
+  }
+  
+  errors.push(...checkConfig(config));
+  return { config: Object.freeze(config), errors };
+}
+
+/**
+ * Default value of a setting, given the settings resolved so far
+ */
+function getDefault(spec, config) {
+  const value = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+  return spec.type === 'custom' && value !== undefined ? spec.parse(value).value : value;
+}
+
+/**
+ * Read the settings of a JSON config file
+ * 
+ * Returns { settings } or { error }. Unknown setting names are reported so
+ * typos do not go unnoticed.
+ */
+function readConfigFile(filePath) {
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { error: `CONFIG_FILE ${filePath} could not be read: ${error.message}` };
+  }
+  
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: `CONFIG_FILE ${filePath} must contain a JSON object of settings` };
+  }
+  
+  const unknown = Object.keys(settings).filter(name => !CONFIG_SCHEMA[name]);
+  if (unknown.length > 0) {
+    return { error: `CONFIG_FILE ${filePath} has unknown settings: ${unknown.join(', ')}` };
+  }
+  
+  return { settings };
+}
+
+/**
+ * Convert a raw setting (a string from the environment, or any JSON value
+ * from the config file) to its type
+ * 
+ * Returns { value } or { error }.
+ */
+function parseSetting(spec, rawValue) {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof rawValue !== 'string') {
+        return { error: 'must be a string' };
+      }
+      if (spec.pattern && !spec.pattern.test(rawValue)) {
+        return { error: `has an invalid format: "${rawValue}"` };
+      }
+      return { value: rawValue };
+    }
+    
+    case 'integer':
+    case 'number': {
+      const value = typeof rawValue === 'string' && rawValue.trim() !== '' ? Number(rawValue) : rawValue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}, got "${rawValue}"` };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `must be at least ${spec.min}, got ${value}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: `must be at most ${spec.max}, got ${value}` };
+      }
+      return { value };
+    }
+    
+    case 'boolean': {
+      if (rawValue === true || rawValue === 'true') {
+        return { value: true };
+      }
+      if (rawValue === false || rawValue === 'false') {
+        return { value: false };
+      }
+      return { error: `must be true or false, got "${rawValue}"` };
+    }
+    
+    case 'enum': {
+      if (!spec.values.includes(rawValue)) {
+        return { error: `must be one of: ${spec.values.join(', ')}, got "${rawValue}"` };
+      }
+      return { value: rawValue };
+    }
+    
+    case 'list': {
+      const items = typeof rawValue === 'string' ? rawValue.split(',') : rawValue;
+      if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+        return { error: 'must be a comma separated list' };
+      }
+      return { value: items.map(item => item.trim()).filter(Boolean) };
+    }
+    
+    case 'url': {
+      try {
+        const url = new URL(rawValue);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return { error: `must be an http(s) URL, got "${rawValue}"` };
+        }
+      } catch (error) {
+        return { error: `must be a URL, got "${rawValue}"` };
+      }
+      return { value: rawValue };
+    }
+    
+    case 'json': {
+      let value = rawValue;
+      if (typeof rawValue === 'string') {
+        try {
+          value = JSON.parse(rawValue);
+        } catch (error) {
+          return { error: `must be valid JSON: ${error.message}` };
+        }
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be a JSON object' };
+      }
+      const invalid = spec.validate ? spec.validate(value) : null;
+      return invalid ? { error: invalid } : { value };
+    }
+    
+    case 'custom':
+      return spec.parse(rawValue);
+    
+    default:
+      return { error: `has unknown type ${spec.type}` };
+  }
+}
+
+/**
+ * Check rules that involve more than one setting
+ * 
+ * Returns a list of error messages.
+ */
+function checkConfig(config) {
+  const errors = [];
+  
+  // Speech needs Google credentials; development servers may run text-only
+  if (config.NODE_ENV === 'production' && !config.GOOGLE_CREDENTIALS_JSON && !config.GOOGLE_APPLICATION_CREDENTIALS) {
+    errors.push('GOOGLE_CREDENTIALS_JSON or GOOGLE_APPLICATION_CREDENTIALS is required in production');
+  }
+  
+  if (config.OPENAI_COMPATIBLE_BASE_URL && config.OPENAI_COMPATIBLE_MODELS.length === 0) {
+    errors.push('OPENAI_COMPATIBLE_MODELS is required when OPENAI_COMPATIBLE_BASE_URL is set');
+  }
+  
+  // The default model must belong to a provider that will be registered
+  const providerModels = getProviderModels(config);
+  const defaultModels = providerModels[config.DEFAULT_MODEL_TYPE];
+  if (!defaultModels) {
+    errors.push(`DEFAULT_MODEL_TYPE "${config.DEFAULT_MODEL_TYPE}" is not a configured provider (available: ${Object.keys(providerModels).join(', ')})`);
+  } else if (!defaultModels.includes(config.DEFAULT_MODEL)) {
+    errors.push(`DEFAULT_MODEL "${config.DEFAULT_MODEL}" is not one of the ${config.DEFAULT_MODEL_TYPE} models: ${defaultModels.join(', ')}`);
+  }
+  
+  // Fallback entries must name a provider type and, for configured providers, one of its
+  // models; providers that are known but not configured (e.g. no GEMINI_API_KEY) are skipped
+  const knownTypes = ['openai', 'gemini', config.OPENAI_COMPATIBLE_TYPE];
+  for (const { type, id } of config.LLM_FALLBACK_CHAIN) {
+    if (!knownTypes.includes(type)) {
+      errors.push(`LLM_FALLBACK_CHAIN entry "${type}:${id}" has an unknown provider type (known: ${knownTypes.join(', ')})`);
+    } else if (providerModels[type] && !providerModels[type].includes(id)) {
+      errors.push(`LLM_FALLBACK_CHAIN entry "${type}:${id}" is not one of the ${type} models: ${providerModels[type].join(', ')}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Models of each provider the configuration registers, keyed by model type
+ */
+function getProviderModels(config) {
+  const providerModels = { openai: config.OPENAI_MODELS };
+  if (config.GEMINI_API_KEY) {
+    providerModels.gemini = config.GEMINI_MODELS;
+  }
+  if (config.OPENAI_COMPATIBLE_BASE_URL && config.OPENAI_COMPATIBLE_MODELS.length > 0) {
+    providerModels[config.OPENAI_COMPATIBLE_TYPE] = config.OPENAI_COMPATIBLE_MODELS;
+  }
+  return providerModels;
+}
+
+/**
+ * Parse Google service account credentials
+ * 
+ * Accepts the JSON key file content, the same content base64 encoded (handy
+ * for single-line environment variables), or an object from the config file.
+ */
+function parseGoogleCredentials(rawValue) {
+  let credentials = rawValue;
+  if (typeof rawValue === 'string') {
+    let text = rawValue.trim();
+    if (/^[A-Za-z0-9+/=\s]+$/.test(text)) {
+      text = Buffer.from(text, 'base64').toString('utf8');
+    }
+    try {
+      credentials = JSON.parse(text);
+    } catch (error) {
+      return { error: 'must be the JSON of a Google credentials file, or that JSON base64 encoded' };
+    }
+  }
+  
+  if (!credentials || typeof credentials !== 'object' || typeof credentials.type !== 'string') {
+    return { error: 'is missing the "type" field of a Google credentials file' };
+  }
+  return { value: credentials };
+}
+
+/**
+ * Parse the fallback chain, e.g. "openai:gpt-4o-mini,gemini:gemini-2.0-flash"
+ */
+function parseFallbackChain(rawValue) {
+  if (typeof rawValue !== 'string') {
+    return { error: 'must be a comma separated list of type:model entries' };
+  }
+  
+  const chain = [];
+  for (const entry of rawValue.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separatorIndex = entry.indexOf(':');
+    const type = entry.slice(0, separatorIndex);
+    const id = entry.slice(separatorIndex + 1);
+    if (separatorIndex === -1 || !type || !id) {
+      return { error: `has an invalid entry "${entry}", expected type:model` };
+    }
+    chain.push({ id, type });
+  }
+  return { value: chain };
+}
+
+/**
+ * Merge RATE_LIMITS overrides, e.g. {"key": {"requestsPerMinute": 120}}, into the defaults
+ */
+function parseRateLimits(rawValue) {
+  const parsed = parseSetting({ type: 'json' }, rawValue);
+  if (parsed.error) {
+    return parsed;
+  }
+  
+  const limits = {};
+  for (const [appliesTo, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    limits[appliesTo] = { ...defaults };
+  }
+  
+  for (const [appliesTo, overrides] of Object.entries(parsed.value)) {
+    if (!limits[appliesTo]) {
+      return { error: `has unknown section "${appliesTo}", expected key or session` };
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return { error: `section "${appliesTo}" must be an object of limits` };
+    }
+    for (const [name, limit] of Object.entries(overrides)) {
+      if (!(name in limits[appliesTo])) {
+        return { error: `has unknown ${appliesTo} limit "${name}", expected one of: ${Object.keys(limits[appliesTo]).join(', ')}` };
+      }
+      if (!Number.isInteger(limit) || limit < 0) {
+        return { error: `${appliesTo}.${name} must be a non-negative integer` };
+      }
+      limits[appliesTo][name] = limit;
+    }
+  }
+  return { value: limits };
+}
+
+/**
+ * Check that every value of an object is a number within bounds
+ * 
+ * Returns an error message, or null.
+ */
+function checkNumberMap(value, { integer = false, min = 0 } = {}) {
+  for (const [key, number] of Object.entries(value)) {
+    if (typeof number !== 'number' || (integer && !Number.isInteger(number)) || number < min) {
+      return `value of "${key}" must be ${integer ? 'an integer' : 'a number'} of at least ${min}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check USAGE_PRICES: model or provider names to objects of non-negative prices
+ */
+function checkUsagePrices(value) {
+  for (const [key, price] of Object.entries(value)) {
+    if (!price || typeof price !== 'object' || Array.isArray(price)) {
+      return `price of "${key}" must be an object with any of: ${USAGE_PRICE_FIELDS.join(', ')}`;
+    }
+    const unknown = Object.keys(price).filter(field => !USAGE_PRICE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return `price of "${key}" has unknown fields: ${unknown.join(', ')}`;
+    }
+    const invalid = checkNumberMap(price);
+    if (invalid) {
+      return `price of "${key}": ${invalid}`;
+    }
+  }
+  return null;
+}
+
+module.exports = { loadConfig, CONFIG_SCHEMA };
@@ -5,22 +5,45 @@ const { v4: uuidv4 } = require('uuid');
 const { OpenAI } = require('openai');
 const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
 const { SpeechClient } = require('@google-cloud/speech');
+const multer = require('multer');
+const promClient = require('prom-client');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { loadConfig } = require('./config');
 
 // Load environment variables from .env file
 require('dotenv').config();
 
-// Debug: Log environment variables (excluding sensitive data)
-console.log('=== ENVIRONMENT VARIABLES ===');
-for (const key in process.env) {
-  if (key === 'OPENAI_API_KEY' || key === 'GEMINI_API_KEY' || key === 'GOOGLE_CREDENTIALS_JSON' || key === 'API_SECRET_KEY') {
-    console.log(`${key}: [Present but value hidden]`);
-  } else {
-    console.log(`${key}: ${process.env[key]}`);
+// Validated settings from the environment and the optional CONFIG_FILE (see config.js)
+const { config, errors: configErrors } = loadConfig(process.env);
+
+// Set up logging: one JSON object per line, tagged with the ids of the current
+// connection, session, turn or HTTP request, with secrets redacted
+const LOG_LEVEL = config.LOG_LEVEL;
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// User messages, transcripts and replies are only logged when enabled
+const LOG_TRANSCRIPTS = config.LOG_TRANSCRIPTS;
+
+// Fields of logged objects whose values are redacted, by name (e.g. apiKey, x-api-key, accessToken)
+const SECRET_FIELD_PATTERN = /(?:api[_-]?key|token|secret|password|authorization|ticket|credentials?)$/i;
+
+// Correlation ids of the code that is running ({ connectionId, sessionId, turnId, requestId })
+const logContext = new AsyncLocalStorage();
+const secretPatterns = buildSecretPatterns({ ...config, ...process.env });
+const logger = createLogger();
+
+// Refuse to start with an invalid configuration instead of failing on the first call
+if (configErrors.length > 0) {
+  for (const error of configErrors) {
+    logger.error(`Invalid configuration: ${error}`);
   }
+  process.exit(1);
 }
-console.log('============================');
 
 // Import fetch for Node.js versions that don't have it built-in
 let fetch;
@@ -30,52 +53,17 @@ if (!globalThis.fetch) {
   fetch = globalThis.fetch;
 }
 
-// Set up Google credentials - either use file path or JSON content from env var
-if (process.env.GOOGLE_CREDENTIALS_JSON) {
-  try {
-    console.log('Processing Google credentials from environment variable...');
-    
-    // The credentials might be base64 encoded, try to decode first
-    let credentialsJson = process.env.GOOGLE_CREDENTIALS_JSON;
-    try {
-      // Check if the value starts with characters that suggest base64 encoding
-      if (/^[a-zA-Z0-9+/=]+$/.test(credentialsJson)) {
-        const decodedCredentials = Buffer.from(credentialsJson, 'base64').toString('utf8');
-        // Check if the decoded value is valid JSON
-        JSON.parse(decodedCredentials);
-        credentialsJson = decodedCredentials;
-        console.log('Successfully decoded base64 credentials');
-      }
-    } catch (decodeError) {
-      console.log('Credentials do not appear to be base64 encoded, using as is');
-    }
-    
-    // Use credentials directly without writing to a file
-    process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON = credentialsJson;
-    console.log('Using Google credentials directly from environment variable');
-    
-  } catch (error) {
-    console.error('Error setting up Google credentials:', error);
-    
-    // Only exit in production
-    if (process.env.NODE_ENV === 'production') {
-    process.exit(1);
-    } else {
-      console.log('Development environment detected - operations requiring Google credentials may fail');
-    }
-  }
-} else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-  console.log(`Using existing credentials file at ${process.env.GOOGLE_APPLICATION_CREDENTIALS}`);
+// Google credentials: JSON content from GOOGLE_CREDENTIALS_JSON (already decoded and validated
+// by the config) or a key file named by GOOGLE_APPLICATION_CREDENTIALS
+const googleClientOptions = {};
+if (config.GOOGLE_CREDENTIALS_JSON) {
+  googleClientOptions.credentials = config.GOOGLE_CREDENTIALS_JSON;
+  logger.info('Using Google credentials from GOOGLE_CREDENTIALS_JSON');
+} else if (config.GOOGLE_APPLICATION_CREDENTIALS) {
+  logger.info(`Using existing credentials file at ${config.GOOGLE_APPLICATION_CREDENTIALS}`);
 } else {
-  // Production error in normal cases
-  console.error('No Google credentials configured. GOOGLE_CREDENTIALS_JSON environment variable is missing.');
-  
-  // Development fallback for testing purposes
-  if (process.env.NODE_ENV !== 'production') {
-    console.log('Development environment detected - operations requiring Google credentials may fail');
-  } else {
-    process.exit(1);
-  }
+  // Only allowed outside production (see config.js)
+  logger.warn('No Google credentials configured - speech recognition and synthesis will fail');
 }
 
 // Initialize Express app
@@ -88,61 +76,317 @@ const wss = new WebSocket.Server({
   perMessageDeflate: false  // Disable compression for better stability
 });
 
-// Initialize OpenAI
+// Initialize OpenAI (retries are handled by our own failover logic)
 const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+  apiKey: config.OPENAI_API_KEY,
+  maxRetries: 0,
 });
 
+// Initialize Google Speech-to-Text and Text-to-Speech clients
+const speechClient = new SpeechClient(googleClientOptions);
+const ttsClient = new TextToSpeechClient(googleClientOptions);
+
+// Store active connections
+const activeConnections = new Map();
+
+// Prometheus metrics served at /metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+const metrics = createMetrics(metricsRegistry);
+
+// Model, voice and sampling settings of new sessions and replies
+const DEFAULT_MODEL_TYPE = config.DEFAULT_MODEL_TYPE;
+const DEFAULT_MODEL = config.DEFAULT_MODEL;
+const DEFAULT_VOICE_CONFIG = {
+  languageCode: config.DEFAULT_VOICE.split('-').slice(0, 2).join('-'),
+  ssmlGender: config.DEFAULT_VOICE_GENDER,
+  name: config.DEFAULT_VOICE
+};
+const LLM_TEMPERATURE = config.LLM_TEMPERATURE;
+const LLM_MAX_TOKENS = config.LLM_MAX_TOKENS; // Reply cap unless the session picks a medium or long responseLength
+
+// Token budget for the conversation history sent to the model; older turns are summarized
+const CONTEXT_TOKEN_BUDGET = config.CONTEXT_TOKEN_BUDGET;
+
+// Per-model overrides, e.g. {"gpt-4o-mini": 6000, "llama3.1:8b": 1500}
+const CONTEXT_TOKEN_BUDGETS = config.CONTEXT_TOKEN_BUDGETS;
+
+// Session state kept in the session store (everything else is per connection)
+const PERSISTED_SESSION_FIELDS = [
+  'id', 'userId', 'ownerKeyId', 'conversationContext', 'conversationSummary', 'pinnedFacts',
+  'modelId', 'modelType', 'voiceConfig', 'persona', 'personaVariables', 'createdAt'
+];
+
+// Accepted format for client-supplied session ids
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Session store settings
+const SESSION_STORE = config.SESSION_STORE; // 'memory' or 'file'
+const SESSION_STORE_PATH = config.SESSION_STORE_PATH;
+const SESSION_TTL_MS = config.SESSION_TTL_MS; // Idle time before a session expires
+const SESSION_MAX_COUNT = config.SESSION_MAX_COUNT;
+
+// Conversations of REST and WebSocket sessions
+const sessionStore = createSessionStore();
+
+// User profiles (plant collections): 'memory' or 'file', following SESSION_STORE by default
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const USER_STORE = config.USER_STORE;
+const USER_STORE_PATH = config.USER_STORE_PATH;
+const PLANT_LOCATIONS = ['indoor', 'outdoor'];
+const PLANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Most plants from a user's collection included in the prompt
+const MAX_CONTEXT_PLANTS = config.MAX_CONTEXT_PLANTS;
+
+const userStore = createUserStore();
+
+// API keys: stored as SHA-256 hashes, each with a name, scopes, optional expiry and an enabled flag.
+// A key bound to a user id only acts for that user; 'any-user' lets a backend act for every user
+const API_KEYS_PATH = config.API_KEYS_PATH;
+const API_KEY_SCOPES = ['chat', 'voice', 'preview-voice', 'admin', 'metrics', 'any-user'];
+const apiKeyStore = createApiKeyStore(API_KEYS_PATH);
+
+// Single-use WebSocket connection tickets, so browsers never put an API key in the URL
+const WS_TICKET_TTL_MS = config.WS_TICKET_TTL_MS;
+// Without a configured secret, tickets are only valid on the instance that issued them
+const WS_TICKET_SECRET = config.WS_TICKET_SECRET || crypto.randomBytes(32).toString('hex');
+// Set to true to also accept ?api_key= on the WebSocket (URLs end up in logs, so off by default)
+const WS_API_KEY_IN_URL = config.WS_API_KEY_IN_URL;
+// Ids of redeemed tickets, kept until they expire
+const redeemedWsTickets = new Map();
+
+// Also send each spoken reply as one audio_message after its audio_chunk events, for clients
+// written before speech was streamed (deprecated; connections can turn it off in their config)
+const WS_LEGACY_AUDIO_MESSAGE = config.WS_LEGACY_AUDIO_MESSAGE;
+
+// Rate limits and daily quotas per API key and per session (0 = unlimited). Override with
+// RATE_LIMITS, e.g. {"key": {"requestsPerMinute": 120}, "session": {"llmTokensPerDay": 50000}};
+// a key's own limits (set through the admin API) take precedence over the "key" defaults
+const RATE_LIMIT_NAMES = ['requestsPerMinute', 'concurrentConnections', 'llmTokensPerDay', 'sttSecondsPerDay', 'ttsCharsPerDay'];
+const RATE_LIMITS = config.RATE_LIMITS;
+
+// Request counts of the current minute and usage of the current UTC day, per key and session
+const rateLimiter = createRateLimiter();
+
+// Daily quota that limits each usage metric
+const QUOTA_LIMITS = { llmTokens: 'llmTokensPerDay', sttSeconds: 'sttSecondsPerDay', ttsChars: 'ttsCharsPerDay' };
+
+// Usage log behind GET /api/usage: one JSON line per model call, recognition and synthesis request
+const USAGE_METERING_ENABLED = config.USAGE_METERING_ENABLED;
+const USAGE_LOG_PATH = config.USAGE_LOG_PATH;
+const USAGE_GROUP_BY = ['key', 'session', 'provider', 'model'];
+const usageMeter = createUsageMeter(USAGE_LOG_PATH);
+
+// Prices for cost estimates in USD, keyed by model or provider, e.g. {"gpt-4o-mini":
+// {"promptPer1M": 0.15, "completionPer1M": 0.6}, "google-stt": {"perMinute": 0.016}, "google-tts": {"per1MChars": 30}}
+const USAGE_PRICES = config.USAGE_PRICES;
+
+// Tools the model can call during a turn
+const LLM_TOOLS_ENABLED = config.LLM_TOOLS_ENABLED;
+const LLM_MAX_TOOL_ROUNDS = config.LLM_MAX_TOOL_ROUNDS;
+const CARE_REQUIREMENTS_PATH = config.CARE_REQUIREMENTS_PATH;
+const careRequirements = loadCareRequirements(CARE_REQUIREMENTS_PATH);
+const llmTools = new Map();
+
+// Local knowledge base of vetted care guides, searched on every turn
+const KNOWLEDGE_BASE_DIR = config.KNOWLEDGE_BASE_DIR;
+const KNOWLEDGE_TOP_K = config.KNOWLEDGE_TOP_K;
+const KNOWLEDGE_MIN_SCORE = config.KNOWLEDGE_MIN_SCORE;
+
+// Words too common to help ranking
+const KNOWLEDGE_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'have', 'has',
+  'was', 'were', 'what', 'when', 'how', 'why', 'can', 'should', 'does', 'its', 'into', 'from',
+  'they', 'them', 'there', 'then', 'than', 'about', 'mine', 'my', 'is', 'it', 'to', 'of', 'in',
+  'on', 'a', 'an', 'do', 'i', 'me', 'or', 'be', 'so', 'if', 'at', 'by', 'as'
+]);
+
+let knowledgeIndex = buildKnowledgeIndex(loadKnowledgePassages(KNOWLEDGE_BASE_DIR));
+
+// Plant photos for identification and diagnosis
+const MAX_IMAGE_BYTES = config.MAX_IMAGE_BYTES;
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DEFAULT_PHOTO_QUESTION = 'What is this plant and is it healthy?';
+
+// Structured responses: 'text' (default) or 'structured' JSON
+const RESPONSE_FORMATS = ['text', 'structured'];
+const STRUCTURED_MAX_TOKENS = config.STRUCTURED_MAX_TOKENS;
+const STRUCTURED_REPAIR_ATTEMPTS = config.STRUCTURED_REPAIR_ATTEMPTS;
+const STRUCTURED_RESPONSE_PROMPT = `Respond with a single JSON object only, in exactly this format:
+{
+  "answer": "your reply to the user, brief and natural as it will be spoken aloud",
+  "speciesMentioned": ["plant species mentioned in the answer"],
+  "careActions": [{ "action": "what the user should do", "frequency": "how often, e.g. every 3 days, or null if one-off" }],
+  "warnings": ["important cautions, e.g. toxicity to pets"],
+  "followUpQuestions": ["questions that would help you give better advice"]
+}
+Use empty lists when nothing applies.`;
+
+// Topic and abuse guardrail applied to user messages and model replies
+const GUARDRAIL_ENABLED = config.GUARDRAIL_ENABLED;
+const GUARDRAIL_CONFIG_PATH = config.GUARDRAIL_CONFIG_PATH;
+// Optional provider moderation on top of the local rules: 'none' or 'openai'
+const GUARDRAIL_MODERATION = config.GUARDRAIL_MODERATION;
+const DEFAULT_REFUSAL_MESSAGE = "I'm Greenur's plant expert, so I can only help with plants and gardening.";
+const guardrailRules = loadGuardrailRules(GUARDRAIL_CONFIG_PATH);
+
+// Evict expired sessions once a minute
+setInterval(() => {
+  sessionStore.sweep().catch(error => logger.error('Error evicting expired sessions:', error));
+}, 60 * 1000).unref();
+
+// Gemini REST API base URL
+const GEMINI_API_BASE_URL = config.GEMINI_API_BASE_URL;
+
+// Registered LLM providers, keyed by model type (the modelType clients send)
+const llmProviders = new Map();
+
+// Models tried in order when the session's own model fails
+const LLM_FALLBACK_CHAIN = config.LLM_FALLBACK_CHAIN;
+
+// Retry and circuit breaker settings for LLM calls
+const LLM_MAX_RETRIES = config.LLM_MAX_RETRIES;
+const LLM_RETRY_BASE_DELAY_MS = config.LLM_RETRY_BASE_DELAY_MS;
+const LLM_CIRCUIT_FAILURE_THRESHOLD = config.LLM_CIRCUIT_FAILURE_THRESHOLD;
+const LLM_CIRCUIT_COOLDOWN_MS = config.LLM_CIRCUIT_COOLDOWN_MS;
+
+// Circuit breaker state per provider type
+const providerCircuits = new Map();
+
+// OpenAI is always registered and serves as the fallback provider
+registerProvider(createOpenAICompatibleProvider({
+  type: 'openai',
+  name: 'OpenAI',
+  client: openai,
+  models: config.OPENAI_MODELS,
+  supportsVision: true
+}));
+
 // Initialize Gemini API if key is provided
-const useGemini = !!process.env.GEMINI_API_KEY;
-let geminiApiUrl = null;
-if (useGemini) {
-  console.log('Gemini API key detected, will use Gemini for text generation');
-  geminiApiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent';
+if (config.GEMINI_API_KEY) {
+  logger.info('Gemini API key detected, registering Gemini provider');
+  registerProvider(createGeminiProvider({
+    models: config.GEMINI_MODELS
+  }));
 }
 
-// Initialize Google Speech-to-Text client with options for credentials
-const speechClientOptions = {};
-if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-  try {
-    speechClientOptions.credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-    console.log('Successfully initialized Speech-to-Text client with credentials');
-  } catch (parseError) {
-    console.error('Error parsing credentials for Speech-to-Text client:', parseError);
-  }
+// Self-hosted model server with an OpenAI-compatible API (vLLM, Ollama, LM Studio, ...);
+// the config requires OPENAI_COMPATIBLE_MODELS along with the base URL
+if (config.OPENAI_COMPATIBLE_BASE_URL) {
+  logger.info(`Registering OpenAI-compatible provider at ${config.OPENAI_COMPATIBLE_BASE_URL}`);
+  registerProvider(createOpenAICompatibleProvider({
+    type: config.OPENAI_COMPATIBLE_TYPE,
+    name: config.OPENAI_COMPATIBLE_NAME,
+    client: new OpenAI({
+      baseURL: config.OPENAI_COMPATIBLE_BASE_URL,
+      // Most self-hosted servers ignore the key, but the client requires one
+      apiKey: config.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+      maxRetries: 0,
+    }),
+    models: config.OPENAI_COMPATIBLE_MODELS,
+    supportsVision: config.OPENAI_COMPATIBLE_VISION,
+    streamUsage: config.OPENAI_COMPATIBLE_STREAM_USAGE
+  }));
 }
-const speechClient = new SpeechClient(speechClientOptions);
 
-// Initialize Google Text-to-Speech client with options for credentials
-const ttsClientOptions = {};
-if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-  try {
-    ttsClientOptions.credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-    console.log('Successfully initialized Text-to-Speech client with credentials');
-  } catch (parseError) {
-    console.error('Error parsing credentials for Text-to-Speech client:', parseError);
+registerTool({
+  name: 'get_care_requirements',
+  description: 'Look up vetted care requirements (light, water, soil, temperature, fertilizer) for a plant species or common name.',
+  parameters: {
+    type: 'object',
+    properties: {
+      species: { type: 'string', description: 'Scientific or common name, e.g. "tulsi" or "Monstera deliciosa"' }
+    },
+    required: ['species']
+  },
+  execute: ({ species }) => {
+    const entry = findCareRequirements(species);
+    if (!entry) {
+      return { found: false, species };
+    }
+    return { found: true, species: entry.species, commonNames: entry.commonNames, ...entry.care };
   }
-}
-const ttsClient = new TextToSpeechClient(ttsClientOptions);
+});
 
-// Set up logging
-const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
-const logger = {
-  error: (...args) => console.error(...args),
-  warn: (...args) => console.warn(...args),
-  info: (...args) => LOG_LEVEL !== 'error' && console.log(...args),
-  debug: (...args) => LOG_LEVEL === 'debug' && console.log('[DEBUG]', ...args)
-};
+registerTool({
+  name: 'calculate_watering_interval',
+  description: 'Estimate how many days to wait between waterings from pot size, light and season.',
+  parameters: {
+    type: 'object',
+    properties: {
+      potSizeCm: { type: 'number', description: 'Pot diameter in centimetres' },
+      light: { type: 'string', enum: ['low', 'medium', 'bright'] },
+      season: { type: 'string', enum: ['summer', 'monsoon', 'winter', 'spring', 'autumn'] },
+      species: { type: 'string', description: 'Optional species, used to adjust for how thirsty the plant is' }
+    },
+    required: ['potSizeCm', 'light', 'season']
+  },
+  execute: (args) => calculateWateringInterval(args)
+});
 
-// Store active connections
-const activeConnections = new Map();
+registerTool({
+  name: 'list_user_plants',
+  description: "Read the user's saved plant collection with ids, locations, pot sizes and last watering/fertilizing dates.",
+  parameters: { type: 'object', properties: {} },
+  execute: async (args, { session }) => {
+    if (!session.userId) {
+      return { error: 'The user has no saved plant collection in this session' };
+    }
+    return { plants: await userStore.listPlants(session.userId) };
+  }
+});
+
+registerTool({
+  name: 'update_user_plant',
+  description: "Update one of the user's saved plants, e.g. record that it was watered or fertilized today. Dates are ISO 8601 (YYYY-MM-DD).",
+  parameters: {
+    type: 'object',
+    properties: {
+      plantId: { type: 'string', description: 'Id from list_user_plants' },
+      nickname: { type: 'string' },
+      location: { type: 'string', enum: PLANT_LOCATIONS },
+      potSizeCm: { type: 'number' },
+      lastWatered: { type: 'string' },
+      lastFertilized: { type: 'string' }
+    },
+    required: ['plantId']
+  },
+  execute: async ({ plantId, ...changes }, { session }) => {
+    if (!session.userId) {
+      return { error: 'The user has no saved plant collection in this session' };
+    }
+    
+    const { fields, error } = parsePlantFields(changes, { partial: true });
+    if (error) {
+      return { error };
+    }
+    
+    const plant = await userStore.updatePlant(session.userId, plantId, fields);
+    return plant ? { plant } : { error: 'Plant not found' };
+  }
+});
+
+// Personas: named system prompt templates, reloaded when files in PERSONAS_DIR change
+const PERSONAS_DIR = config.PERSONAS_DIR;
+const DEFAULT_PERSONA = config.DEFAULT_PERSONA;
+const DEFAULT_REGION = config.DEFAULT_REGION;
+const PERSONA_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PERSONA_VARIABLES = ['userName', 'locale', 'region', 'responseLength'];
+const RESPONSE_LENGTHS = {
+  short: { guide: 'brief: one to three sentences, natural for a voice conversation', maxTokens: Math.min(200, LLM_MAX_TOKENS) },
+  medium: { guide: 'moderately short: one short paragraph', maxTokens: 350 },
+  long: { guide: 'detailed but focused: a few short paragraphs', maxTokens: 600 },
+};
 
-// System prompt for the botanist assistant
+// Built-in default persona; templates in PERSONAS_DIR add more or override it
 const BOTANIST_SYSTEM_PROMPT = `
 You are Greenur's plant expert botanist assistant. Your role is to help users with their plant-related questions.
+{{#userName}}The user's name is {{userName}}.{{/userName}}
+The user is in {{region}} (locale {{locale}}). Prefer plants, seasons and products that are common there.
 
 You should:
-- Always answer in brief, concise responses for a natural conversation
+- Keep answers {{responseLengthGuide}}
 - Provide accurate, helpful information about plants, gardening, plant care, and related topics
 - Answer questions about plant identification, care requirements, troubleshooting plant problems, etc.
 - Be friendly, supportive, and encouraging to gardeners of all experience levels
@@ -155,31 +399,103 @@ DO NOT:
 - Provide advice on non-plant topics
 - Engage in discussions about politics, controversial topics, or anything unrelated to plants
 - Generate harmful content of any kind
-- Provide lengthy responses - keep them short and natural for a voice conversation
+- Provide lengthy responses - keep them at the length given above
 `;
 
-// Enable JSON parsing for HTTP endpoints
-app.use(express.json());
+let personaTemplates = loadPersonaTemplates(PERSONAS_DIR);
+watchPersonaTemplates(PERSONAS_DIR);
 
-// Authentication middleware for API endpoints
-const authenticateRequest = (req, res, next) => {
+// Enable JSON parsing for HTTP endpoints (large enough for base64 photos)
+app.use(express.json({ limit: Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 100 * 1024 }));
+
+// Log lines of an HTTP request carry its id (the caller's X-Request-Id when valid)
+app.use((req, res, next) => {
+  const requestedId = req.headers['x-request-id'];
+  const requestId = typeof requestedId === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(requestedId)
+    ? requestedId
+    : uuidv4();
+  res.set('X-Request-Id', requestId);
+  logContext.run({ requestId }, next);
+});
+
+// Photos uploaded as multipart/form-data are kept in memory
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 }
+});
+
+// Authentication middleware for API endpoints; attaches the key identity as req.apiKey
+const authenticateRequest = async (req, res, next) => {
   // Get API key from request headers or query parameters
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
+  const apiKey = getHeaderApiKey(req.headers) || req.query.api_key;
   
-  console.log('Authenticating request:', req.path);
-  console.log('API Key provided:', apiKey ? 'Yes' : 'No');
+  logger.debug(`Authenticating request to ${req.path} (API key provided: ${apiKey ? 'yes' : 'no'})`);
 
-  // Check if API key is valid
-  if (!apiKey || apiKey !== process.env.API_SECRET_KEY) {
-    console.log('Authentication failed: Invalid or missing API key');
-    return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
+  try {
+    // Check if API key is valid (known, enabled and not expired)
+    const keyIdentity = apiKey ? await apiKeyStore.authenticate(apiKey) : null;
+    if (!keyIdentity) {
+      logger.info(`Authentication failed for ${req.path}: invalid or missing API key`);
+      return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
+    }
+    
+    logger.debug(`Authenticated request to ${req.path} with key ${keyIdentity.name}`);
+    req.apiKey = keyIdentity;
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    return res.status(500).json({ error: 'Failed to authenticate request' });
   }
-
-  console.log('Authentication successful');
+  
   // API key is valid, proceed
   next();
 };
 
+// Reject requests whose API key lacks a scope (use after authenticateRequest)
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `Forbidden: API key lacks the "${scope}" scope` });
+  }
+  next();
+};
+
+// Validate the :id (and :plantId) route parameters and reject keys that may
+// not act for that user (use after authenticateRequest)
+const authorizeUser = (req, res, next) => {
+  if (!USER_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+  if (req.params.plantId !== undefined && !PLANT_ID_PATTERN.test(req.params.plantId)) {
+    return res.status(400).json({ error: 'Invalid plant id' });
+  }
+  if (!canActAsUser(req.apiKey, req.params.id)) {
+    return res.status(403).json({ error: 'Forbidden: API key may not act for this user' });
+  }
+  next();
+};
+
+// Count the request against the key's and session's rate limits and check
+// the quotas it draws on (use after authenticateRequest and body parsing)
+const limitRequests = (...metrics) => (req, res, next) => {
+  const exceeded = checkRateLimits(req.apiKey, req.body && req.body.sessionId, metrics);
+  if (exceeded) {
+    return sendRateLimited(res, exceeded);
+  }
+  next();
+};
+
+// Accept an optional "image" file in multipart/form-data requests
+const handleImageUpload = (req, res, next) => {
+  imageUpload.single('image')(req, res, AsyncResource.bind((error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Image is larger than ${MAX_IMAGE_BYTES} bytes`
+        : `Invalid upload: ${error.message}`;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  }));
+};
+
 // Define HTTP API endpoints
 app.get('/', (req, res) => {
   res.send('Botanist AI Voice Service is running');
@@ -191,54 +507,119 @@ app.get('/api/health', (req, res) => {
 });
 
 // Apply authentication to protected endpoints
-app.post('/api/chat', authenticateRequest, async (req, res) => {
+app.post('/api/chat', authenticateRequest, requireScope('chat'), handleImageUpload, limitRequests('llmTokens'), async (req, res) => {
   try {
-    const { message, sessionId, modelId, modelType, voice } = req.body;
+    // Spoken replies also need the voice scope and speech quota
+    if (req.query.include_audio === 'true') {
+      if (!hasScope(req.apiKey, 'voice')) {
+        return res.status(403).json({ error: 'Forbidden: API key lacks the "voice" scope' });
+      }
+      const exceeded = checkQuotas(req.apiKey, req.body.sessionId, ['ttsChars']);
+      if (exceeded) {
+        return sendRateLimited(res, exceeded);
+      }
+    }
     
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    const { sessionId, userId, modelId, modelType, voice } = req.body;
+    const responseFormat = req.body.responseFormat || req.query.responseFormat || 'text';
+    
+    if (!RESPONSE_FORMATS.includes(responseFormat)) {
+      return res.status(400).json({ error: `responseFormat must be one of: ${RESPONSE_FORMATS.join(', ')}` });
+    }
+    
+    // A photo comes either as a multipart file or as base64 in the JSON body
+    let image = null;
+    if (req.file || req.body.image) {
+      const parsed = req.file
+        ? validateImage(req.file.buffer, req.file.mimetype)
+        : parseImageInput(req.body.image, req.body.imageMimeType);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      image = parsed.image;
+    }
+    
+    if (!req.body.message && !image) {
+      return res.status(400).json({ error: 'Message or image is required' });
+    }
+    const message = req.body.message || DEFAULT_PHOTO_QUESTION;
+    
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+      return res.status(400).json({ error: 'Invalid sessionId' });
+    }
+    
+    if (userId !== undefined && (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId))) {
+      return res.status(400).json({ error: 'Invalid userId' });
+    }
+    if (userId !== undefined && !canActAsUser(req.apiKey, userId)) {
+      return res.status(403).json({ error: 'Forbidden: API key may not act for this user' });
     }
     
     // Create or get session
-    let session = activeConnections.get(sessionId);
+    let session = sessionId ? await sessionStore.get(sessionId) : null;
+    if (session && !mayUseSession(req.apiKey, session)) {
+      return res.status(403).json({ error: 'Forbidden: session belongs to another API key' });
+    }
+    if (session && session.userId && !canActAsUser(req.apiKey, session.userId)) {
+      return res.status(403).json({ error: 'Forbidden: session belongs to another user' });
+    }
+    
+    // A WebSocket connection holding the session would overwrite this turn on its next save
+    if (sessionId && findSessionConnection(sessionId)) {
+      return res.status(409).json({ error: 'Session is open on a WebSocket connection' });
+    }
+    
+    // Only models advertised by /api/models can be selected
+    const model = resolveModelSelection(session || { modelId: DEFAULT_MODEL, modelType: DEFAULT_MODEL_TYPE }, { modelId, modelType });
+    if (model.error) {
+      return res.status(400).json({ error: model.error });
+    }
+    
     if (!session) {
       const newSessionId = sessionId || uuidv4();
       session = {
         id: newSessionId,
+        ownerKeyId: req.apiKey.id,
         conversationContext: [],
-        modelId: modelId || 'gpt-4o-mini',
-        modelType: modelType || 'openai',
-        voiceConfig: {
-          languageCode: 'en-IN',
-          ssmlGender: 'MALE',
-          name: 'en-IN-Chirp3-HD-Orus'
-        },
-        isResponseInterrupted: false
+        ...model.value,
+        voiceConfig: { ...DEFAULT_VOICE_CONFIG },
+        createdAt: Date.now()
       };
-      activeConnections.set(newSessionId, session);
     } else {
-      if (modelId) {
-        session.modelId = modelId;
-      }
-      if (modelType) {
-        session.modelType = modelType;
-      }
+      Object.assign(session, model.value);
+      session.ownerKeyId = session.ownerKeyId || req.apiKey.id;
+    }
+    
+    // Link the session to the user whose plant collection it should know about
+    // (a key bound to a user always acts for that user)
+    if (userId || req.apiKey.userId) {
+      session.userId = userId || req.apiKey.userId;
+    }
+    
+    // Key identity for logging and metering (not persisted)
+    session.apiKey = toKeyIdentity(req.apiKey);
+    setLogContext({ sessionId: session.id });
+    
+    // Named system prompt and its variables
+    const personaError = applyPersonaSettings(session, req.body.persona, req.body.personaVariables);
+    if (personaError) {
+      return res.status(400).json({ error: personaError });
     }
     
     // Handle voice configuration if provided
     if (voice) {
       if (typeof voice === 'object') {
         session.voiceConfig = {
-          languageCode: voice.languageCode || 'en-IN',
-          ssmlGender: voice.ssmlGender || 'MALE',
-          name: voice.name || 'en-IN-Chirp3-HD-Orus'
+          languageCode: voice.languageCode || DEFAULT_VOICE_CONFIG.languageCode,
+          ssmlGender: voice.ssmlGender || DEFAULT_VOICE_CONFIG.ssmlGender,
+          name: voice.name || DEFAULT_VOICE_CONFIG.name
         };
       } else if (typeof voice === 'string') {
         // Extract language code from voice name (e.g., en-IN from en-IN-Chirp3-HD-Orus)
         const langCodeMatch = voice.match(/^([a-z]{2}-[A-Z]{2})/);
         
         session.voiceConfig = {
-          languageCode: langCodeMatch ? langCodeMatch[1] : 'en-IN',
+          languageCode: langCodeMatch ? langCodeMatch[1] : DEFAULT_VOICE_CONFIG.languageCode,
           ssmlGender: voice.includes('Orus') ? 'MALE' : 'FEMALE',
           name: voice
         };
@@ -246,24 +627,49 @@ app.post('/api/chat', authenticateRequest, async (req, res) => {
     }
     
     // Process message
-    const response = await processUserMessage(session, message);
+    const result = await processUserMessage(session, message, { image, responseFormat });
+    await sessionStore.save(session);
+    recordTurnMetrics(result);
+    
+    // Every provider in the fallback chain failed
+    if (result.failed) {
+      return res.status(503).json({
+        sessionId: session.id,
+        error: 'The assistant is temporarily unavailable, please try again'
+      });
+    }
     
     // Generate audio response if requested
     let audioResponse = null;
     if (req.query.include_audio === 'true') {
-      audioResponse = await textToSpeech(response, session.voiceConfig);
+      audioResponse = await textToSpeech(result.text, session.voiceConfig);
+      if (audioResponse) {
+        recordUsage(session, { ttsChars: result.text.length }, { provider: 'google-tts', model: session.voiceConfig.name });
+      }
     }
     
-    // Prepare response
+    // Prepare response (model is the provider that actually answered)
     const responseData = {
       sessionId: session.id,
-      message: response,
-      model: {
-        id: session.modelId,
-        type: session.modelType
-      }
+      message: result.text,
+      model: result.model,
+      citations: result.citations
     };
     
+    if (result.imageAnalysis) {
+      responseData.imageAnalysis = result.imageAnalysis;
+    }
+    
+    // Validated JSON reply; message holds its answer
+    if (result.structured) {
+      responseData.structured = result.structured;
+    }
+    
+    // The turn was refused; message holds the refusal
+    if (result.guardrail) {
+      responseData.guardrail = result.guardrail;
+    }
+    
     // Include audio if generated
     if (audioResponse) {
       responseData.audio = audioResponse.toString('base64');
@@ -274,28 +680,73 @@ app.post('/api/chat', authenticateRequest, async (req, res) => {
     // Return response
     res.json(responseData);
   } catch (error) {
-    console.error('Error processing chat message:', error);
+    logger.error('Error processing chat message:', error);
     res.status(500).json({ error: 'Failed to process message' });
   }
 });
 
-// WebSocket authentication function
-const authenticateWebSocket = (request) => {
-  // Extract API key from URL query parameter
+// Exchange an API key for a short-lived, single-use WebSocket ticket
+app.post('/api/ws-ticket', authenticateRequest, requireScope('chat'), limitRequests(), (req, res) => {
+  const { userId, sessionId } = req.body || {};
+  
+  if (userId !== undefined && (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId))) {
+    return res.status(400).json({ error: 'Invalid userId' });
+  }
+  if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+    return res.status(400).json({ error: 'Invalid sessionId' });
+  }
+  if (userId !== undefined && !canActAsUser(req.apiKey, userId)) {
+    return res.status(403).json({ error: 'Forbidden: API key may not act for this user' });
+  }
+  
+  // Tickets of a key bound to a user are bound to that user
+  const { ticket, expiresAt } = createWsTicket(req.apiKey, { userId: userId || req.apiKey.userId || undefined, sessionId });
+  res.json({ ticket, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+// WebSocket authentication function; resolves to { apiKey, binding }, or null
+const authenticateWebSocket = async (request) => {
+  // Extract the ticket (or API key) from URL query parameters; clients that
+  // can set headers (not browsers) may send the key in a header instead
   const url = new URL(request.url, `http://${request.headers.host}`);
-  const apiKey = url.searchParams.get('api_key');
+  const ticket = url.searchParams.get('ticket');
+  const apiKey = getHeaderApiKey(request.headers) || (WS_API_KEY_IN_URL ? url.searchParams.get('api_key') : null);
   
-  // Check if API key is valid
-  if (!apiKey || apiKey !== process.env.API_SECRET_KEY) {
-    return false;
+  if (ticket) {
+    const redeemed = redeemWsTicket(ticket);
+    if (!redeemed) {
+      return null;
+    }
+    
+    // The key may have been revoked or changed since the ticket was issued,
+    // so the connection gets its current scopes
+    const keyIdentity = await apiKeyStore.getIdentity(redeemed.keyId);
+    if (!keyIdentity || !hasScope(keyIdentity, 'chat') ||
+      (redeemed.binding.userId && !canActAsUser(keyIdentity, redeemed.binding.userId))) {
+      return null;
+    }
+    return { apiKey: keyIdentity, binding: redeemed.binding };
   }
   
-  return true;
+  if (!apiKey) {
+    return null;
+  }
+  
+  // Check if API key is valid and may chat
+  const keyIdentity = await apiKeyStore.authenticate(apiKey);
+  if (!keyIdentity || !hasScope(keyIdentity, 'chat')) {
+    return null;
+  }
+  
+  return { apiKey: keyIdentity, binding: { userId: keyIdentity.userId || undefined } };
 };
 
 // Keep track of sockets that are being upgraded to prevent duplicate handling
 const upgradingSocketsMap = new Map();
 
+// Open and upgrading WebSocket connections per API key id, for concurrentConnections
+const keyConnectionCounts = new Map();
+
 // WebSocket server upgrade with authentication
 server.on('upgrade', (request, socket, head) => {
   const socketId = `${socket.remoteAddress}:${socket.remotePort}`;
@@ -315,78 +766,209 @@ server.on('upgrade', (request, socket, head) => {
   });
   
   // Authenticate the WebSocket connection
-  if (!authenticateWebSocket(request)) {
-    logger.info('WebSocket authentication failed');
-    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-    socket.destroy();
-    upgradingSocketsMap.delete(socketId);
-    return;
-  }
-  
-  // If authentication passes, upgrade the connection to WebSocket
-  wss.handleUpgrade(request, socket, head, (ws) => {
-    wss.emit('connection', ws, request);
-    upgradingSocketsMap.delete(socketId);
-  });
+  authenticateWebSocket(request)
+    .catch((error) => {
+      logger.error('Error authenticating WebSocket connection:', error);
+      return null;
+    })
+    .then((auth) => {
+      if (!auth) {
+        logger.info('WebSocket authentication failed');
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        upgradingSocketsMap.delete(socketId);
+        return;
+      }
+      
+      // The client may have gone away while the key was checked
+      if (socket.destroyed) {
+        upgradingSocketsMap.delete(socketId);
+        return;
+      }
+      
+      // Limit the number of open connections per key
+      const keyId = auth.apiKey.id;
+      const { concurrentConnections } = { ...RATE_LIMITS.key, ...auth.apiKey.limits };
+      const openConnections = keyConnectionCounts.get(keyId) || 0;
+      if (concurrentConnections > 0 && openConnections >= concurrentConnections) {
+        logger.info(`Too many WebSocket connections for key ${auth.apiKey.name}`);
+        socket.write('HTTP/1.1 429 Too Many Requests\r\n\r\n');
+        socket.destroy();
+        upgradingSocketsMap.delete(socketId);
+        return;
+      }
+      
+      // Take the slot now, so parallel upgrades of the same key see it; it is
+      // released when the socket closes
+      keyConnectionCounts.set(keyId, openConnections + 1);
+      socket.once('close', () => {
+        const remaining = keyConnectionCounts.get(keyId) - 1;
+        if (remaining > 0) {
+          keyConnectionCounts.set(keyId, remaining);
+        } else {
+          keyConnectionCounts.delete(keyId);
+        }
+      });
+      
+      // If authentication passes, upgrade the connection to WebSocket
+      request.apiKey = auth.apiKey;
+      request.ticketBinding = auth.binding;
+      wss.handleUpgrade(request, socket, head, (ws) => {
+        wss.emit('connection', ws, request);
+        upgradingSocketsMap.delete(socketId);
+      });
+    });
 });
 
 // WebSocket event handlers
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, request) => {
   const connectionId = uuidv4();
-  logger.info(`New WebSocket connection established: ${connectionId}`);
   
-  // Store connection data
+  // Log lines of this connection carry its id and the id of its current session;
+  // event listeners are bound below so they run in this context too
+  logContext.enterWith({ connectionId, sessionId: connectionId });
+  logger.info(`New WebSocket connection established: ${connectionId} (key ${request.apiKey.name})`);
+  
+  // Store connection data (id is the session id, a new session unless the client resumes one)
   const connectionData = {
     id: connectionId,
+    connectionId,
     ws,
+    apiKey: toKeyIdentity(request.apiKey), // Key that opened the connection, for logging and metering
+    ownerKeyId: request.apiKey.id, // Key the session belongs to
+    ticketBinding: request.ticketBinding, // User (from the ticket or key) and session the connection is bound to, if any
     conversationContext: [],
-    modelId: 'gpt-4o-mini', // Default model
-    modelType: 'openai', // Default model type
+    modelId: DEFAULT_MODEL,
+    modelType: DEFAULT_MODEL_TYPE,
     audioSession: false, // Whether this session is using audio
-    voiceConfig: {
-      languageCode: 'en-IN',
-      ssmlGender: 'MALE',
-      name: 'en-IN-Chirp3-HD-Orus'
-    }, // Default voice configuration
-    isResponseInterrupted: false, // Track if response was interrupted
+    voiceConfig: { ...DEFAULT_VOICE_CONFIG },
+    activeTurns: new Set(), // Assistant turns that are still in flight
+    createdAt: Date.now(),
     audioChunks: [], // Store audio chunks
-    lastChunkTime: Date.now() // Track when the last chunk was received
+    lastChunkTime: Date.now(), // Track when the last chunk was received
+    sttMode: 'batch', // Speech recognition mode: 'batch' or 'streaming'
+    responseFormat: 'text', // Reply format: 'text' or 'structured'
+    binaryAudio: false, // Whether audio travels in binary frames
+    legacyAudioMessage: WS_LEGACY_AUDIO_MESSAGE, // Whether spoken replies are also sent as one audio_message
+    outputStreamCounter: 0, // Last binary stream id used for assistant audio
+    audioRateLimited: false, // Whether the current utterance was rejected by a rate limit
+    recognitionStream: null, // Open streaming recognition request, if any
+    openRecognizers: new Set(), // Abort controllers of streaming recognizers that have not closed yet (including ones finalising)
+    lastStreamingAudioAt: null, // When audio was last fed to the streaming recognizer
+    pendingTranscripts: [], // Final streaming transcripts waiting for the current spoken reply
+    isAnsweringSpeech: false // Whether a reply to streaming transcripts is running
   };
   
   activeConnections.set(connectionId, connectionData);
   
-  // Send connection confirmation
-  sendToClient(ws, {
-    type: 'connected',
-    connectionId
+  // Clients resuming a conversation pass its session id in the upgrade URL (a ticket's binding wins)
+  const query = new URL(request.url, `http://${request.headers.host}`).searchParams;
+  const requestedSessionId = connectionData.ticketBinding.sessionId || query.get('session_id');
+  const requestedUserId = connectionData.ticketBinding.userId || query.get('user_id');
+  
+  const sessionReady = (async () => {
+    const resumed = requestedSessionId ? await attachSession(connectionData, requestedSessionId) : false;
+    if (requestedUserId) {
+      setSessionUser(connectionData, requestedUserId);
+    }
+    
+    // Send connection confirmation
+    sendToClient(ws, {
+      type: 'connected',
+      connectionId,
+      sessionId: connectionData.id,
+      resumed
+    });
+  })().catch((error) => {
+    logger.error(`Error attaching session for ${connectionId}:`, error);
+    sendError(ws, 'Failed to resume session');
   });
   
-  // Handle incoming messages
-  ws.on('message', async (message) => {
+  // Handle incoming messages one at a time and in order, so a message never sees the
+  // session half-switched by an earlier one; the turns they start run in the background
+  const handleMessage = async (message, isBinary) => {
     try {
-      const data = JSON.parse(message);
+      // Messages wait until the session has been loaded
+      await sessionReady;
+      
+      // Binary frames carry raw audio and are handled like audio_data messages
+      const data = isBinary ? parseBinaryAudioMessage(connectionData, message) : JSON.parse(message);
+      if (!data) {
+        sendError(ws, 'Binary audio frames are not enabled or malformed');
+        return;
+      }
       logger.debug(`Received message from ${connectionId}:`, data.type);
       
       switch (data.type) {
-        case 'config':
-          // Handle configuration updates
-          if (data.modelId) {
-            connectionData.modelId = data.modelId;
+        case 'config': {
+          // Reattach to an existing conversation before applying other settings
+          let resumed = false;
+          const { ticketBinding } = connectionData;
+          if (data.sessionId && data.sessionId !== connectionData.id) {
+            if (ticketBinding.sessionId) {
+              sendError(ws, 'The connection ticket is bound to another session');
+            } else {
+              resumed = await attachSession(connectionData, data.sessionId);
+            }
           }
-          if (data.modelType) {
-            connectionData.modelType = data.modelType;
+          if (ticketBinding.userId) {
+            // A resumed session must not switch the connection to another user
+            if (data.userId && data.userId !== ticketBinding.userId) {
+              sendError(ws, 'The connection is bound to another user');
+            }
+            connectionData.userId = ticketBinding.userId;
+          } else if (data.userId) {
+            setSessionUser(connectionData, data.userId);
+          }
+          
+          // Handle configuration updates
+          if (data.modelId || data.modelType) {
+            const model = resolveModelSelection(connectionData, data);
+            if (model.error) {
+              sendError(ws, model.error);
+            } else {
+              Object.assign(connectionData, model.value);
+            }
           }
           if (typeof data.audioSession === 'boolean') {
-            connectionData.audioSession = data.audioSession;
+            if (data.audioSession && !hasScope(connectionData.apiKey, 'voice')) {
+              sendError(ws, 'API key lacks the "voice" scope');
+            } else {
+              connectionData.audioSession = data.audioSession;
+            }
+          }
+          // Raw audio in binary WebSocket frames instead of base64 JSON
+          if (typeof data.binaryAudio === 'boolean') {
+            connectionData.binaryAudio = data.binaryAudio;
+          }
+          // Clients that play audio_chunk events can turn off the deprecated audio_message
+          if (typeof data.legacyAudioMessage === 'boolean') {
+            connectionData.legacyAudioMessage = data.legacyAudioMessage;
+          }
+          // Speech recognition mode: 'batch' (default) or 'streaming'
+          if (data.sttMode === 'batch' || data.sttMode === 'streaming') {
+            if (data.sttMode !== connectionData.sttMode) {
+              stopStreamingRecognition(connectionData);
+            }
+            connectionData.sttMode = data.sttMode;
+          }
+          // Reply format: 'text' (default) or 'structured' JSON
+          if (RESPONSE_FORMATS.includes(data.responseFormat)) {
+            connectionData.responseFormat = data.responseFormat;
+          }
+          // Named system prompt and its variables (user name, locale, region, response length)
+          const personaError = applyPersonaSettings(connectionData, data.persona, data.personaVariables);
+          if (personaError) {
+            sendError(ws, personaError);
           }
           // Add voice configuration handling
           if (data.voice) {
             // If a complete voice config object is provided
             if (typeof data.voice === 'object') {
               connectionData.voiceConfig = {
-                languageCode: data.voice.languageCode || 'en-IN',
-                ssmlGender: data.voice.ssmlGender || 'MALE',
-                name: data.voice.name || 'en-IN-Chirp3-HD-Orus'
+                languageCode: data.voice.languageCode || DEFAULT_VOICE_CONFIG.languageCode,
+                ssmlGender: data.voice.ssmlGender || DEFAULT_VOICE_CONFIG.ssmlGender,
+                name: data.voice.name || DEFAULT_VOICE_CONFIG.name
               };
               
               // Log the updated voice configuration
@@ -405,18 +987,43 @@ wss.on('connection', (ws) => {
             }
           }
           
-          // Reset interruption flag
-          connectionData.isResponseInterrupted = false;
+          await sessionStore.save(connectionData);
           
           sendToClient(ws, { 
             type: 'config_acknowledged',
+            sessionId: connectionData.id,
+            resumed,
             voice: connectionData.voiceConfig,
+            sttMode: connectionData.sttMode,
+            binaryAudio: connectionData.binaryAudio,
+            legacyAudioMessage: connectionData.legacyAudioMessage,
+            responseFormat: connectionData.responseFormat,
+            persona: connectionData.persona || DEFAULT_PERSONA,
+            personaVariables: connectionData.personaVariables || {},
             model: {
               id: connectionData.modelId,
               type: connectionData.modelType
             }
           });
           break;
+        }
+          
+        case 'image_message': {
+          // Photo of a plant, optionally with a question about it
+          const { image, error } = parseImageInput(data.image, data.mimeType);
+          if (error) {
+            sendError(ws, error);
+            break;
+          }
+          
+          if (!checkConnectionRateLimits(connectionData, ['llmTokens'])) {
+            break;
+          }
+          
+          logger.info(`Processing image message from ${connectionId}`);
+          runInBackground(connectionData, respondToUserMessage(connectionData, data.message || DEFAULT_PHOTO_QUESTION, startTurn(connectionData), { image }));
+          break;
+        }
           
         case 'chat_message':
           // Process text message from client
@@ -424,56 +1031,60 @@ wss.on('connection', (ws) => {
             sendError(ws, 'Message is required');
             break;
           }
-          
-          // Reset interruption flag when new message is received
-          connectionData.isResponseInterrupted = false;
-          
-          logger.info(`Processing chat message from ${connectionId}: "${data.message}"`);
-          const response = await processUserMessage(connectionData, data.message);
-          
-          // Only send response if not interrupted during processing
-          if (!connectionData.isResponseInterrupted) {
-            // Send response as text
-            sendToClient(ws, {
-              type: 'bot_message',
-              id: uuidv4(),
-              text: response
-            });
-            
-            // Convert to speech if audio session
-            if (connectionData.audioSession) {
-              const audioBuffer = await textToSpeech(response, connectionData.voiceConfig);
-              if (audioBuffer && !connectionData.isResponseInterrupted) {
-                sendToClient(ws, {
-                  type: 'audio_message',
-                  id: uuidv4(),
-                  audio: audioBuffer.toString('base64'),
-                  format: 'mp3',
-                  voice: connectionData.voiceConfig.name // Include voice info in response
-                });
-              }
-            }
+          if (!checkConnectionRateLimits(connectionData, ['llmTokens'])) {
+            break;
           }
+          
+          logger.info(`Processing chat message from ${connectionId}: ${describeTranscript(data.message)}`);
+          runInBackground(connectionData, respondToUserMessage(connectionData, data.message));
           break;
           
         case 'audio_data':
           // Process audio data from client
+          if (!hasScope(connectionData.apiKey, 'voice')) {
+            sendError(ws, 'API key lacks the "voice" scope');
+            break;
+          }
           if (!data.audio) {
             sendError(ws, 'Audio data is required');
             break;
           }
           
-          // Reset interruption flag when new audio is received
-          connectionData.isResponseInterrupted = false;
-          
           // Process audio data (binary, base64, etc.)
-          if (data.format === 'base64') {
+          if (data.format === 'base64' || data.format === 'binary') {
+            // Limits are checked once per utterance; the rest of a rejected utterance is dropped
+            const endsUtterance = data.isLastChunk === true || !data.isChunk;
+            if (connectionData.audioRateLimited) {
+              connectionData.audioRateLimited = !endsUtterance;
+              break;
+            }
+            const startsUtterance = !data.isChunk || (connectionData.sttMode === 'streaming'
+              ? !connectionData.recognitionStream
+              : data.chunkNumber === 0 || (data.chunkNumber === 1 && connectionData.lastChunkNumber !== 0));
+            if (startsUtterance && !checkConnectionRateLimits(connectionData, ['sttSeconds', 'llmTokens'])) {
+              connectionData.audioRateLimited = !endsUtterance;
+              break;
+            }
+            
+            if (connectionData.sttMode === 'streaming') {
+              // Forward each chunk to the recognizer as it arrives
+              handleStreamingAudio(
+                connectionData,
+                decodeAudioPayload(data.audio),
+                data.mimeType,
+                data.isLastChunk === true || !data.isChunk
+              );
+            }
             // Check if this is chunked audio
-            if (data.isChunk) {
+            else if (data.isChunk) {
               logger.info(`Received audio chunk ${data.chunkNumber} from ${connectionId}`);
               
-              // Handle the first chunk of a new audio stream
-              if (data.chunkNumber === 0 || data.chunkNumber === 1) {
+              // Handle the first chunk of a new audio stream (numbering may start at 0 or 1)
+              const isFirstChunk = data.chunkNumber === 0 ||
+                (data.chunkNumber === 1 && connectionData.lastChunkNumber !== 0);
+              connectionData.lastChunkNumber = data.chunkNumber;
+              
+              if (isFirstChunk) {
                 // Clear previous chunks if this is the start of a new utterance
                 connectionData.audioChunks = [];
                 connectionData.audioBatchMimeType = data.mimeType || 'audio/mp3';
@@ -492,22 +1103,20 @@ wss.on('connection', (ws) => {
               
               if (isLastChunk || (haveEnoughData && !isFlacAudio)) {
                 // Combine all chunks
-                const combinedAudio = connectionData.audioChunks.join('');
-                const audioBuffer = Buffer.from(combinedAudio, 'base64');
+                const audioBuffer = combineAudioChunks(connectionData.audioChunks);
                 
                 // Process the complete audio
-                await processAudioData(connectionData, audioBuffer, connectionData.audioBatchMimeType);
+                runInBackground(connectionData, processAudioData(connectionData, audioBuffer, connectionData.audioBatchMimeType));
                 
                 // Clear the chunks
                 connectionData.audioChunks = [];
               } else if (isFlacAudio && isLastChunk) {
                 // For FLAC files, only process when we have the complete file
                 logger.info(`Processing complete FLAC file from ${connectionId}`);
-                const combinedAudio = connectionData.audioChunks.join('');
-                const audioBuffer = Buffer.from(combinedAudio, 'base64');
+                const audioBuffer = combineAudioChunks(connectionData.audioChunks);
                 
                 // Process the complete FLAC audio
-                await processAudioData(connectionData, audioBuffer, connectionData.audioBatchMimeType);
+                runInBackground(connectionData, processAudioData(connectionData, audioBuffer, connectionData.audioBatchMimeType));
                 
                 // Clear the chunks
                 connectionData.audioChunks = [];
@@ -517,8 +1126,8 @@ wss.on('connection', (ws) => {
               }
             } else {
               // This is a complete audio sample (not chunked)
-              const audioBuffer = Buffer.from(data.audio, 'base64');
-              await processAudioData(connectionData, audioBuffer, data.mimeType || 'audio/mp3');
+              const audioBuffer = decodeAudioPayload(data.audio);
+              runInBackground(connectionData, processAudioData(connectionData, audioBuffer, data.mimeType || 'audio/mp3'));
             }
           } else {
             sendError(ws, 'Unsupported audio format');
@@ -529,13 +1138,27 @@ wss.on('connection', (ws) => {
           // Handle user interruption
           logger.info(`User interrupted assistant response for session ${connectionId}`);
           
-          // Set flag to prevent sending further responses from in-flight requests
-          connectionData.isResponseInterrupted = true;
+          // The live recognizer keeps listening (the user may be talking over the
+          // reply) unless the client asks to drop it as well
+          const recognitionStopped = data.stopRecognition === true && cancelStreamingRecognition(connectionData);
           
           // Acknowledge the interruption
           sendToClient(ws, {
-            type: 'interrupt_acknowledged'
+            type: 'interrupt_acknowledged',
+            ...(recognitionStopped ? { recognitionStopped } : {})
           });
+          
+          // Abort in-flight LLM, TTS and batch STT work and report what was stopped
+          for (const turn of connectionData.activeTurns) {
+            const aborted = turn.cancel();
+            finishTurn(connectionData, turn);
+            
+            sendToClient(ws, {
+              type: 'turn_cancelled',
+              turnId: turn.id,
+              aborted
+            });
+          }
           break;
           
         default:
@@ -546,583 +1169,4606 @@ wss.on('connection', (ws) => {
       logger.error('Error handling WebSocket message:', error);
       sendError(ws, 'Failed to process message');
     }
-  });
+  };
+  
+  let messageQueue = Promise.resolve();
+  ws.on('message', AsyncResource.bind((message, isBinary) => {
+    messageQueue = messageQueue.then(() => handleMessage(message, isBinary));
+  }));
   
   // Handle WebSocket disconnection
-  ws.on('close', () => {
+  ws.on('close', AsyncResource.bind(() => {
     logger.info(`WebSocket connection closed: ${connectionId}`);
+    cancelStreamingRecognition(connectionData);
+    cancelAllTurns(connectionData);
     activeConnections.delete(connectionId);
-  });
+  }));
   
   // Handle WebSocket errors
-  ws.on('error', (error) => {
+  ws.on('error', AsyncResource.bind((error) => {
     logger.error(`WebSocket error for ${connectionId}:`, error);
+    cancelStreamingRecognition(connectionData);
+    cancelAllTurns(connectionData);
     activeConnections.delete(connectionId);
-  });
+  }));
 });
 
 /**
- * Process a user message using AI (OpenAI or Gemini) and return response
+ * Let work started by a WebSocket message (e.g. a turn) finish without
+ * holding up the connection's next messages
  */
-async function processUserMessage(session, userMessage) {
-  try {
-    // Add user message to conversation context
-    session.conversationContext.push({
-      role: 'user',
-      content: userMessage,
-    });
+function runInBackground(connectionData, promise) {
+  promise.catch((error) => {
+    logger.error('Error handling WebSocket message:', error);
+    sendError(connectionData.ws, 'Failed to process message');
+  });
+}
+
+/**
+ * Start a new assistant turn for a connection
+ * 
+ * Every turn carries its own cancellation token. Work started for the turn
+ * is registered with track(stage, promise) so that cancel() can abort the
+ * signal and report which stages (stt, llm, tts) were still running.
+ */
+function startTurn(connectionData) {
+  const controller = new AbortController();
+  const pendingStages = new Map();
+  
+  const turn = {
+    id: uuidv4(),
+    signal: controller.signal,
     
-    // Keep conversation context limited to last 10 messages
-    if (session.conversationContext.length > 10) {
-      session.conversationContext = session.conversationContext.slice(-10);
-    }
+    track(stage, promise) {
+      pendingStages.set(stage, (pendingStages.get(stage) || 0) + 1);
+      
+      const settle = () => {
+        const remaining = pendingStages.get(stage) - 1;
+        if (remaining > 0) {
+          pendingStages.set(stage, remaining);
+        } else {
+          pendingStages.delete(stage);
+        }
+      };
+      promise.then(settle, settle);
+      
+      return promise;
+    },
     
-    let assistantResponse = '';
+    cancel() {
+      if (controller.signal.aborted) {
+        return [];
+      }
+      
+      const aborted = [...pendingStages.keys()];
+      controller.abort();
+      logger.info(`Cancelled turn ${turn.id} (aborted: ${aborted.join(', ') || 'nothing pending'})`);
+      return aborted;
+    }
+  };
+  
+  connectionData.activeTurns.add(turn);
+  return turn;
+}
 
-    // Check if the session was interrupted during processing
-    if (session.isResponseInterrupted) {
-      logger.info('Message processing interrupted - skipping LLM call');
-      return '';
+/**
+ * Mark a turn as no longer in flight
+ */
+function finishTurn(connectionData, turn) {
+  connectionData.activeTurns.delete(turn);
+}
+
+/**
+ * Cancel every in-flight turn of a connection, e.g. when the socket closes
+ */
+function cancelAllTurns(connectionData) {
+  for (const turn of connectionData.activeTurns) {
+    turn.cancel();
+  }
+  connectionData.activeTurns.clear();
+}
+
+/**
+ * Run an assistant turn for a WebSocket connection: stream the reply as
+ * bot_message_delta events, then send the full text and speech when done
+ * 
+ * A turn that was already started (e.g. for speech recognition) can be passed in.
+ * options.image attaches a plant photo (see processUserMessage).
+ */
+async function respondToUserMessage(connectionData, userMessage, turn = startTurn(connectionData), options = {}) {
+  // Log lines of the turn carry its id
+  return withLogContext({ turnId: turn.id }, async () => {
+    const { ws } = connectionData;
+    
+    // All delta and done events of this reply share the turn id as message id
+    const messageId = turn.id;
+    
+    try {
+      // Speak the reply sentence by sentence while it is still being generated (text only once the speech quota is used up)
+      const canSpeak = connectionData.audioSession && checkConnectionRateLimits(connectionData, ['ttsChars'], { countRequest: false });
+      const speech = canSpeak ? createSpeechStream(connectionData, messageId, turn) : null;
+      
+      // Tell binary clients which audio stream belongs to this message
+      const audioStreamInfo = speech && speech.streamId !== null ? { audioStreamId: speech.streamId } : {};
+      
+      const result = await turn.track('llm', processUserMessage(connectionData, userMessage, {
+        image: options.image,
+        responseFormat: connectionData.responseFormat,
+        signal: turn.signal,
+        onDelta: (delta) => {
+          if (!turn.signal.aborted) {
+            sendToClient(ws, {
+              type: 'bot_message_delta',
+              id: messageId,
+              delta,
+              ...audioStreamInfo
+            });
+            
+            if (speech) {
+              speech.push(delta);
+            }
+          }
+        },
+        // Tool invocations let the client render cards while the model works
+        onToolCall: (toolCall) => {
+          sendToClient(ws, {
+            type: 'tool_call',
+            id: messageId,
+            toolCallId: toolCall.id,
+            name: toolCall.name,
+            arguments: toolCall.arguments
+          });
+        },
+        onToolResult: (toolCall, result) => {
+          sendToClient(ws, {
+            type: 'tool_result',
+            id: messageId,
+            toolCallId: toolCall.id,
+            name: toolCall.name,
+            result
+          });
+        }
+      }));
+      
+      // Keep the conversation in the session store
+      await sessionStore.save(connectionData);
+      recordTurnMetrics(result, turn.signal.aborted);
+      
+      // Let the client close the partial message if the user interrupted
+      if (turn.signal.aborted) {
+        sendToClient(ws, {
+          type: 'bot_message_done',
+          id: messageId,
+          interrupted: true,
+          ...audioStreamInfo
+        });
+        return;
+      }
+      
+      // The failure apology was never streamed, so speak it now
+      if (result.failed && speech) {
+        speech.push(result.text);
+      }
+      
+      // Speak the refusal instead of what is left of a reply blocked by the output guardrail
+      if (result.guardrail && result.guardrail.stage === 'output' && speech) {
+        speech.discard();
+        speech.push(result.text);
+      }
+      
+      sendToClient(ws, {
+        type: 'bot_message_done',
+        id: messageId,
+        text: result.text,
+        model: result.model,
+        failed: result.failed,
+        citations: result.citations,
+        ...(result.imageAnalysis ? { imageAnalysis: result.imageAnalysis } : {}),
+        ...(result.structured ? { structured: result.structured } : {}),
+        ...(result.guardrail ? { guardrail: result.guardrail } : {}),
+        ...audioStreamInfo
+      });
+      
+      // Complete message for clients that do not handle deltas
+      sendToClient(ws, {
+        type: 'bot_message',
+        id: messageId,
+        text: result.text,
+        model: result.model,
+        failed: result.failed,
+        citations: result.citations,
+        ...(result.imageAnalysis ? { imageAnalysis: result.imageAnalysis } : {}),
+        ...(result.structured ? { structured: result.structured } : {}),
+        ...(result.guardrail ? { guardrail: result.guardrail } : {}),
+        ...audioStreamInfo
+      });
+      
+      // Synthesize whatever is left after the last sentence boundary
+      if (speech) {
+        await speech.finish();
+      }
+    } finally {
+      finishTurn(connectionData, turn);
     }
+  });
+}
 
-    // Use Gemini if configured as model type, otherwise use OpenAI
-    if (session.modelType === 'gemini') {
-      assistantResponse = await getGeminiResponse(session.conversationContext, BOTANIST_SYSTEM_PROMPT, session.modelId);
-    } else {
-      // Prepare messages for OpenAI LLM
-      const messages = [
-        { role: 'system', content: BOTANIST_SYSTEM_PROMPT },
-        ...session.conversationContext,
-      ];
-      
-      // Use the model passed from the client
-      const model = session.modelId || 'gpt-4o-mini';
-      
-      // Get response from OpenAI
-      const response = await openai.chat.completions.create({
-        model: model,
-        messages,
-        temperature: 0.3,
-        max_tokens: 200,
-        stream: true,
+// Sentences shorter than this are merged with the next one so speech does not sound choppy
+const MIN_SPEECH_SEGMENT_LENGTH = 20;
+
+/**
+ * Split text into complete sentences and the unfinished remainder
+ * 
+ * A sentence ends at ., !, ? or the Devanagari danda followed by whitespace,
+ * so decimals such as "1.5" are not treated as boundaries.
+ */
+function splitSentences(text) {
+  const boundaryPattern = /[.!?\u0964]+["'\u201D\u2019)\]]*\s+/g;
+  const sentences = [];
+  let sentenceStart = 0;
+  let match;
+  
+  while ((match = boundaryPattern.exec(text)) !== null) {
+    const sentenceEnd = match.index + match[0].length;
+    sentences.push(text.slice(sentenceStart, sentenceEnd).trim());
+    sentenceStart = sentenceEnd;
+  }
+  
+  return {
+    sentences,
+    remainder: text.slice(sentenceStart)
+  };
+}
+
+/**
+ * Create an incremental speech stream for one assistant reply
+ * 
+ * Text pushed into the stream is cut into sentences, each sentence is
+ * synthesized as soon as it is complete and sent as an audio_chunk event.
+ * Synthesis runs in parallel but chunks are always sent in sequence order.
+ * With legacyAudioMessage set, the whole reply is then sent once more as an
+ * audio_message event, like before speech was streamed.
+ */
+function createSpeechStream(connectionData, messageId, turn) {
+  const { ws } = connectionData;
+  let textBuffer = '';
+  let pendingSegment = '';
+  let sequence = 0;
+  let sendQueue = Promise.resolve();
+  
+  // Binary audio frames are tagged with a numeric stream id instead of the message id
+  const streamId = connectionData.binaryAudio ? ++connectionData.outputStreamCounter : null;
+  
+  // Audio of the whole reply for the deprecated audio_message (JSON clients only)
+  const spokenAudio = streamId === null && connectionData.legacyAudioMessage ? [] : null;
+  
+  const enqueue = (text, final) => {
+    const chunkSequence = sequence++;
+    const audioPromise = text
+      ? turn.track('tts', textToSpeech(text, connectionData.voiceConfig, turn.signal).then((audioBuffer) => {
+        if (audioBuffer) {
+          recordUsage(connectionData, { ttsChars: text.length }, { provider: 'google-tts', model: connectionData.voiceConfig.name });
+        }
+        return audioBuffer;
+      }))
+      : Promise.resolve(null);
+    
+    sendQueue = sendQueue.then(async () => {
+      const audioBuffer = await audioPromise;
+      
+      // Drop remaining audio once the user has interrupted
+      if (turn.signal.aborted) {
+        return;
+      }
+      
+      if (streamId !== null) {
+        sendBinaryToClient(ws, encodeAudioFrame({
+          streamId,
+          sequence: chunkSequence,
+          mimeType: 'audio/mpeg',
+          final,
+          payload: audioBuffer
+        }));
+        return;
+      }
+      
+      sendToClient(ws, {
+        type: 'audio_chunk',
+        id: messageId,
+        sequence: chunkSequence,
+        text,
+        audio: audioBuffer ? audioBuffer.toString('base64') : null,
+        format: 'mp3',
+        voice: connectionData.voiceConfig.name, // Include voice info in response
+        final
       });
       
-      // Process streamed response
-      for await (const chunk of response) {
-        // Check if interrupted during streaming
-        if (session.isResponseInterrupted) {
-          logger.info('Response streaming interrupted');
-          break;
+      if (spokenAudio) {
+        if (audioBuffer) {
+          spokenAudio.push(audioBuffer);
         }
-        
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) {
-          assistantResponse += content;
+        if (final && spokenAudio.length > 0) {
+          sendToClient(ws, {
+            type: 'audio_message',
+            id: messageId,
+            audio: Buffer.concat(spokenAudio).toString('base64'), // MP3 chunks can simply be concatenated
+            format: 'mp3',
+            voice: connectionData.voiceConfig.name
+          });
         }
       }
-    }
-    
-    // Only add to conversation context if not interrupted
-    if (!session.isResponseInterrupted) {
-    // Add assistant response to conversation context
-      session.conversationContext.push({
-      role: 'assistant',
-      content: assistantResponse,
     });
+  };
+  
+  return {
+    streamId,
     
-      logger.info(`Assistant response: "${assistantResponse}"`);
-    }
+    push(text) {
+      textBuffer += text;
+      const { sentences, remainder } = splitSentences(textBuffer);
+      textBuffer = remainder;
+      
+      for (const sentence of sentences) {
+        pendingSegment = pendingSegment ? `${pendingSegment} ${sentence}` : sentence;
+        if (pendingSegment.length >= MIN_SPEECH_SEGMENT_LENGTH) {
+          enqueue(pendingSegment, false);
+          pendingSegment = '';
+        }
+      }
+    },
     
-    return assistantResponse;
-  } catch (error) {
-    logger.error('Error processing user message:', error);
-    return 'I apologize, but I encountered an issue processing your request. Please try again.';
-  }
+    // Drop text that has not been synthesized yet, e.g. a reply blocked by the guardrail
+    discard() {
+      pendingSegment = '';
+      textBuffer = '';
+    },
+    
+    async finish() {
+      const lastSegment = [pendingSegment, textBuffer.trim()].filter(Boolean).join(' ');
+      pendingSegment = '';
+      textBuffer = '';
+      
+      // The final chunk is always sent, even without audio, so clients know the reply is complete
+      enqueue(lastSegment, true);
+      await sendQueue;
+    }
+  };
 }
 
 /**
- * Get response from Gemini API
+ * Process a user message using AI (OpenAI or Gemini) and return response
+ * 
+ * options.onDelta is called with each piece of text as it is generated,
+ * aborting options.signal cancels the model request. options.image
+ * ({ mimeType, data } with base64 data) attaches a plant photo, which is
+ * analyzed before the reply and sent to a vision-capable model. With
+ * options.responseFormat 'structured' the model answers in validated JSON
+ * and only its answer is passed to onDelta, once it is complete. When the model calls
+ * tools, options.onToolCall(toolCall) and options.onToolResult(toolCall, result)
+ * are called around each invocation.
+ * 
+ * Resolves to { text, model, failed, citations } where model is the { id, type }
+ * of the provider that actually answered (null if none did), failed is true
+ * when every provider in the fallback chain failed, citations lists the
+ * knowledge base passages given to the model and imageAnalysis holds the
+ * photo analysis ({ species, commonName, confidence, issues }) or null.
+ * Structured replies also have structured ({ answer, speciesMentioned,
+ * careActions, warnings, followUpQuestions }); text is then the answer.
+ * Turns blocked by the guardrail have guardrail ({ reason, stage }) and a
+ * refusal as text.
  */
-async function getGeminiResponse(conversationContext, systemPrompt, modelId) {
+async function processUserMessage(session, userMessage, options = {}) {
+  const onDelta = options.onDelta || (() => {});
+  const onToolCall = options.onToolCall || (() => {});
+  const onToolResult = options.onToolResult || (() => {});
+  const { signal, image } = options;
+  const isStructured = options.responseFormat === 'structured';
+  
+  // Streamed text is held back until the output guardrail has seen it
+  const outputGate = createOutputGate(onDelta, signal);
+  
   try {
-    // Create content parts with system prompt
-    const parts = [
-      { text: systemPrompt },
-    ];
+    // Refuse off-topic and abusive messages without calling the model
+    const inputGuardrail = await checkGuardrail(userMessage, 'input', signal);
+    if (inputGuardrail) {
+      const refusal = getRefusalMessage(session);
+      onDelta(refusal);
+      return { text: refusal, model: null, failed: false, citations: [], imageAnalysis: null, guardrail: inputGuardrail };
+    }
     
-    // Add conversation history
-    for (const message of conversationContext) {
-      parts.push({ text: `${message.role}: ${message.content}` });
+    // Identify the plant and visible problems before answering about a photo
+    const imageAnalysis = image ? await analyzePlantPhoto(session, userMessage, image, signal) : null;
+    if (imageAnalysis && imageAnalysis.species) {
+      session.pinnedFacts = mergePinnedFacts(session.pinnedFacts, {
+        plants: [imageAnalysis.commonName || imageAnalysis.species],
+        symptoms: imageAnalysis.issues.map(issue => issue.name)
+      });
     }
     
-    // Use the specified model ID or default to gemini-1.5-pro
-    const geminiModel = modelId || 'gemini-1.5-pro';
-    const geminiApiEndpoint = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent`;
+    // Add user message to conversation context (photos are kept only as their analysis)
+    session.conversationContext.push({
+      role: 'user',
+      content: image ? describePhotoMessage(userMessage, imageAnalysis) : userMessage,
+    });
     
-    // Prepare request for Gemini API
-    const requestBody = {
-      contents: [
-        {
-          parts,
-        }
-      ],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 200,
-      }
-    };
+    // Compress older turns into the running summary once the token budget is exceeded
+    const conversation = await compactConversation(session, signal);
     
-    // Call Gemini API
-    const response = await fetch(`${geminiApiEndpoint}?key=${process.env.GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
+    // Check if the turn was cancelled before the model was called
+    if (signal && signal.aborted) {
+      logger.info('Message processing interrupted - skipping LLM call');
+      return { text: '', model: null, failed: false, citations: [], imageAnalysis: null };
+    }
+    
+    // Vetted care guides relevant to this turn
+    const passages = searchKnowledge(buildKnowledgeQuery(session, userMessage));
+    
+    const messages = [
+      { role: 'system', content: buildSystemPrompt(session) },
+      ...buildMemoryMessages(session),
+      ...(await buildPlantCollectionMessages(session, userMessage)),
+      ...buildKnowledgeMessages(passages),
+      ...(isStructured ? [{ role: 'system', content: STRUCTURED_RESPONSE_PROMPT }] : []),
+      ...conversation,
+    ];
     
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
+    // The photo itself is only sent with the turn it belongs to
+    if (image) {
+      const currentMessage = messages[messages.length - 1];
+      messages[messages.length - 1] = {
+        role: 'user',
+        content: [{ type: 'text', text: currentMessage.content }, toImageContentPart(image)]
+      };
     }
     
-    const data = await response.json();
+    const tools = LLM_TOOLS_ENABLED ? [...llmTools.values()].map(({ name, description, parameters }) => ({ name, description, parameters })) : [];
+    let assistantResponse = '';
+    let model = null;
     
-    // Extract text from response
-    if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) {
-      return data.candidates[0].content.parts[0].text;
+    // Stream from the session's model, falling back along the configured chain.
+    // Tool results are fed back to the model until it answers in text.
+    for (let round = 0; ; round++) {
+      const canUseTools = tools.length > 0 && round < LLM_MAX_TOOL_ROUNDS;
+      const result = await generateWithFailover(session, {
+        messages,
+        // On the last round the model sees the tools but must answer in text
+        tools: tools.length > 0 ? tools : undefined,
+        toolChoice: canUseTools ? 'auto' : 'none',
+        jsonMode: isStructured,
+        temperature: LLM_TEMPERATURE,
+        maxTokens: isStructured ? STRUCTURED_MAX_TOKENS : getResponseLength(session).maxTokens,
+        signal,
+      }, isStructured ? undefined : outputGate.push);
+      
+      assistantResponse += result.text;
+      model = result.model;
+      
+      if (result.toolCalls.length === 0 || !canUseTools) {
+        break;
+      }
+      
+      messages.push({
+        role: 'assistant',
+        content: result.text || null,
+        tool_calls: result.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) }
+        }))
+      });
+      
+      for (const toolCall of result.toolCalls) {
+        onToolCall(toolCall);
+        const toolResult = await executeTool(toolCall, { session, signal });
+        onToolResult(toolCall, toolResult);
+        
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(toolResult)
+        });
+      }
+      
+      if (signal && signal.aborted) {
+        break;
+      }
     }
     
-    throw new Error('Unable to parse Gemini API response');
-  } catch (error) {
-    logger.error('Error calling Gemini API:', error);
-    return 'I apologize, but I encountered an issue processing your request. Please try again.';
-  }
-}
-
-/**
- * Convert text to speech
- */
-async function textToSpeech(text, voiceConfig) {
-  try {
-    // Set default voice parameters if not provided
-    const voice = {
-      languageCode: voiceConfig?.languageCode || 'en-IN',
-      ssmlGender: voiceConfig?.ssmlGender || 'MALE',
-      name: voiceConfig?.name || 'en-IN-Chirp3-HD-Orus'
-    };
+    // Validate the JSON reply, asking the model to repair it if needed
+    let structured = null;
+    if (isStructured && !(signal && signal.aborted)) {
+      structured = await getStructuredResponse(session, messages, assistantResponse, signal);
+      assistantResponse = structured.answer;
+    }
     
-    // Log the voice being used
-    logger.info(`Converting text to speech using voice: ${voice.name} (${voice.languageCode})`);
+    // Sentences that passed may already have been streamed, so clients replace them with the refusal
+    const outputGuardrail = structured
+      ? await checkGuardrail(assistantResponse, 'output', signal)
+      : await outputGate.finish();
+    if (outputGuardrail) {
+      // Neither the blocked reply nor the message that led to it stay in the conversation
+      session.conversationContext.pop();
+      return { text: getRefusalMessage(session), model, failed: false, citations: [], imageAnalysis, guardrail: outputGuardrail };
+    }
     
-    // Build the synthesis request
-    const request = {
-      input: { text },
-      voice: voice,
-      audioConfig: { audioEncoding: 'MP3' },
-    };
+    // The structured reply passed, send it (streamed replies were released sentence by sentence)
+    if (structured) {
+      onDelta(assistantResponse);
+    }
     
-    // Generate speech
-    const [response] = await ttsClient.synthesizeSpeech(request);
+    // Only add to conversation context if not interrupted
+    if (!(signal && signal.aborted)) {
+      // Add assistant response to conversation context
+      session.conversationContext.push({
+        role: 'assistant',
+        content: assistantResponse,
+      });
+      
+      logger.info(`Assistant response from ${model.type}/${model.id} for session ${session.id}${session.apiKey ? ` (key ${session.apiKey.name})` : ''}: ${describeTranscript(assistantResponse)}`);
+    }
     
-    // Return the audio content as Buffer
-    return Buffer.from(response.audioContent);
+    return {
+      text: assistantResponse,
+      model,
+      failed: false,
+      citations: passages.map(toCitation),
+      imageAnalysis,
+      ...(structured ? { structured } : {})
+    };
   } catch (error) {
-    logger.error('Error in text-to-speech:', error);
-    return null;
+    if (signal && signal.aborted) {
+      logger.info('Response generation cancelled');
+      return { text: '', model: null, failed: false, citations: [], imageAnalysis: null };
+    }
+    
+    // The apology is shown to the user but never stored in the conversation context
+    logger.error('Error processing user message:', error);
+    return {
+      text: 'I apologize, but I encountered an issue processing your request. Please try again.',
+      model: null,
+      failed: true,
+      citations: [],
+      imageAnalysis: null
+    };
   }
 }
 
 /**
- * Process complete audio data for transcription and response
+ * Load the passages of every Markdown and JSON care guide in a directory
+ * 
+ * Markdown guides are split at "## " headings, with the "# " heading as
+ * the guide title. JSON guides are arrays of { title, section, text }.
  */
-async function processAudioData(connectionData, audioBuffer, mimeType) {
-  try {
-    // Log the current voice configuration for debugging
-    logger.info(`Processing audio with voice config: ${JSON.stringify(connectionData.voiceConfig)}`);
-    logger.info(`Audio buffer type: ${typeof audioBuffer}, size: ${audioBuffer.length} bytes, mime type: ${mimeType}`);
-    
-    // Debug check - verify the buffer is valid
-    if (!audioBuffer || audioBuffer.length === 0) {
-      logger.error('Audio buffer is empty or invalid');
-      sendError(connectionData.ws, 'Invalid audio data received');
-      return;
-    }
-    
-    // Debug check for FLAC files
-    if (mimeType && mimeType.toLowerCase().includes('flac')) {
-      logger.info('Processing FLAC audio file');
-      // Check for FLAC magic number (first 4 bytes should be "fLaC")
-      if (audioBuffer.length >= 4) {
-        const magicBytes = audioBuffer.slice(0, 4).toString('utf8');
-        logger.info(`FLAC magic bytes: "${magicBytes}" (should be "fLaC")`);
-        if (magicBytes !== 'fLaC') {
-          logger.warn('Invalid FLAC file format - missing FLAC signature');
-        }
-      } else {
-        logger.warn('FLAC file too small - insufficient data');
-      }
-    }
-    
-    // Pass the language code from the current voice config and the mime type
-    const transcript = await speechToText(
-      audioBuffer,
-      connectionData.voiceConfig.languageCode,
-      mimeType
-    );
-    
-    if (transcript) {
-      logger.info(`Transcribed audio from ${connectionData.id}: "${transcript}"`);
-      
-      // Send transcript back to client
-      sendToClient(connectionData.ws, {
-        type: 'transcript',
-        text: transcript
-      });
+function loadKnowledgePassages(directory) {
+  const passages = [];
+  
+  const readDirectory = (currentDirectory) => {
+    for (const entry of fs.readdirSync(currentDirectory, { withFileTypes: true })) {
+      const filePath = path.join(currentDirectory, entry.name);
+      const source = path.relative(directory, filePath);
       
-      // Only process if not interrupted
-      if (!connectionData.isResponseInterrupted) {
-        // Process the transcript
-        const response = await processUserMessage(connectionData, transcript);
-        
-        // Only send response if not interrupted during processing
-        if (!connectionData.isResponseInterrupted) {
-          // Send response as text
-          sendToClient(connectionData.ws, {
-            type: 'bot_message',
-            id: uuidv4(),
-            text: response
-          });
-          
-          // Convert to speech if audio session
-          if (connectionData.audioSession) {
-            const audioBuffer = await textToSpeech(response, connectionData.voiceConfig);
-            if (audioBuffer && !connectionData.isResponseInterrupted) {
-              sendToClient(connectionData.ws, {
-                type: 'audio_message',
-                id: uuidv4(),
-                audio: audioBuffer.toString('base64'),
-                format: 'mp3',
-                voice: connectionData.voiceConfig.name // Include voice info in response
-              });
+      try {
+        if (entry.isDirectory()) {
+          readDirectory(filePath);
+        } else if (entry.name.endsWith('.md')) {
+          passages.push(...parseMarkdownGuide(fs.readFileSync(filePath, 'utf8'), source));
+        } else if (entry.name.endsWith('.json')) {
+          const guide = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          for (const item of guide) {
+            if (item.text) {
+              passages.push({ title: item.title || source, section: item.section || null, text: item.text, source });
             }
           }
         }
+      } catch (error) {
+        logger.error(`Error loading knowledge base file ${filePath}:`, error);
       }
-    } else {
-      logger.error('Failed to transcribe audio - null transcript returned');
-      sendError(connectionData.ws, 'Could not transcribe audio');
     }
-  } catch (error) {
-    logger.error('Error processing audio data:', error);
-    if (error.stack) {
-      logger.error('Stack trace:', error.stack);
+  };
+  
+  if (!fs.existsSync(directory)) {
+    logger.warn(`Knowledge base directory ${directory} not found, answers will not be grounded in care guides`);
+    return passages;
+  }
+  
+  readDirectory(directory);
+  logger.info(`Loaded ${passages.length} knowledge base passages from ${directory}`);
+  return passages;
+}
+
+/**
+ * Split a Markdown care guide into one passage per "## " section
+ */
+function parseMarkdownGuide(markdown, source) {
+  const titleMatch = markdown.match(/^#\s+(.+)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : source;
+  const passages = [];
+  
+  let section = null;
+  let lines = [];
+  const addPassage = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      passages.push({ title, section, text, source });
+    }
+  };
+  
+  for (const line of markdown.split(/\r?\n/)) {
+    const headingMatch = line.match(/^##\s+(.+)$/);
+    if (headingMatch) {
+      addPassage();
+      section = headingMatch[1].trim();
+      lines = [];
+    } else if (!/^#\s/.test(line)) {
+      lines.push(line);
     }
-    sendError(connectionData.ws, 'Failed to process audio data');
   }
+  addPassage();
+  
+  return passages;
 }
 
 /**
- * Convert speech to text
+ * Split text into lowercase search terms, dropping stop words and plural "s"
  */
-async function speechToText(audioBuffer, languageCode = 'en-IN', mimeType = 'audio/mp3') {
-  try {
-    // Flag to track if WebM format is detected
-    let webmDetected = false;
+function tokenizeForSearch(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !KNOWLEDGE_STOP_WORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Build a BM25 index over knowledge base passages
+ */
+function buildKnowledgeIndex(passages) {
+  const documentFrequency = new Map();
+  const passageCounts = new Map();
+  const documents = passages.map((passage) => {
+    // Titles and section names describe the whole passage, so they count twice
+    const heading = `${passage.title} ${passage.section || ''}`;
+    const tokens = tokenizeForSearch(`${heading} ${heading} ${passage.text}`);
     
-    // Convert the audio buffer to a base64-encoded string
-    const audioBytes = audioBuffer.toString('base64');
+    const termFrequency = new Map();
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+    for (const token of termFrequency.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+    
+    // Ids number the passages within their guide so they stay stable as guides are added
+    const number = (passageCounts.get(passage.source) || 0) + 1;
+    passageCounts.set(passage.source, number);
+    
+    return {
+      passage: { id: `${passage.source}#${number}`, ...passage },
+      termFrequency,
+      length: tokens.length
+    };
+  });
+  
+  const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+  
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0
+  };
+}
+
+/**
+ * Find the knowledge base passages that best match a query (BM25 ranking)
+ */
+function searchKnowledge(query, topK = KNOWLEDGE_TOP_K) {
+  const { documents, documentFrequency, averageLength } = knowledgeIndex;
+  const queryTokens = [...new Set(tokenizeForSearch(query))];
+  if (documents.length === 0 || queryTokens.length === 0) {
+    return [];
+  }
+  
+  const k1 = 1.2;
+  const b = 0.75;
+  
+  return documents
+    .map(document => {
+      let score = 0;
+      for (const token of queryTokens) {
+        const frequency = document.termFrequency.get(token);
+        if (!frequency) {
+          continue;
+        }
+        
+        const df = documentFrequency.get(token);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * document.length / averageLength));
+      }
+      return { passage: document.passage, score };
+    })
+    .filter(result => result.score >= KNOWLEDGE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(result => result.passage);
+}
+
+/**
+ * Build the knowledge base query for a turn
+ * 
+ * Follow-ups like "how often should I water it?" do not name the plant, so
+ * the plants pinned from earlier in the conversation are added.
+ */
+function buildKnowledgeQuery(session, userMessage) {
+  const pinnedPlants = (session.pinnedFacts && session.pinnedFacts.plants) || [];
+  return [userMessage, ...pinnedPlants].join(' ');
+}
+
+/**
+ * Build the system message carrying the retrieved care guide passages
+ */
+function buildKnowledgeMessages(passages) {
+  if (passages.length === 0) {
+    return [];
+  }
+  
+  const excerpts = passages.map((passage, index) => {
+    const heading = passage.section ? `${passage.title} - ${passage.section}` : passage.title;
+    return `[${index + 1}] ${heading}\n${passage.text}`;
+  });
+  
+  return [{
+    role: 'system',
+    content: `Vetted care guides from Greenur's horticulture team. When they are relevant, prefer them over general knowledge. Do not mention the guides or their numbers in your answer.\n\n${excerpts.join('\n\n')}`
+  }];
+}
+
+/**
+ * Describe a knowledge base passage as a citation for clients
+ */
+function toCitation(passage) {
+  return {
+    id: passage.id,
+    title: passage.title,
+    section: passage.section,
+    source: passage.source
+  };
+}
+
+/**
+ * Load the persona templates: the built-in botanist plus every .md or .txt
+ * file in the directory, named after the file
+ */
+function loadPersonaTemplates(directory) {
+  const templates = new Map([['botanist', BOTANIST_SYSTEM_PROMPT]]);
+  
+  if (!fs.existsSync(directory)) {
+    logger.warn(`Persona directory ${directory} not found, only the built-in botanist persona is available`);
+    return templates;
+  }
+  
+  for (const fileName of fs.readdirSync(directory)) {
+    const name = path.basename(fileName, path.extname(fileName));
+    if (!['.md', '.txt'].includes(path.extname(fileName)) || !PERSONA_NAME_PATTERN.test(name)) {
+      continue;
+    }
+    
+    try {
+      templates.set(name, fs.readFileSync(path.join(directory, fileName), 'utf8'));
+    } catch (error) {
+      logger.error(`Error loading persona ${fileName}:`, error);
+    }
+  }
+  
+  if (!templates.has(DEFAULT_PERSONA)) {
+    logger.error(`Default persona "${DEFAULT_PERSONA}" not found, using the built-in botanist persona instead`);
+  }
+  
+  logger.info(`Loaded personas: ${[...templates.keys()].join(', ')}`);
+  return templates;
+}
+
+/**
+ * Reload the persona templates whenever a file in the directory changes
+ */
+function watchPersonaTemplates(directory) {
+  if (!fs.existsSync(directory)) {
+    return;
+  }
+  
+  let reloadTimer = null;
+  const watcher = fs.watch(directory, () => {
+    // Editors emit several events for one save
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      personaTemplates = loadPersonaTemplates(directory);
+    }, 200);
+  });
+  
+  watcher.on('error', error => logger.error(`Error watching persona directory ${directory}:`, error));
+  watcher.unref();
+}
+
+/**
+ * Render a template: {{name}} is replaced by the variable and
+ * {{#name}}...{{/name}} is only kept when the variable is set
+ */
+function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, content) => (variables[name] ? content : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => variables[name] || '');
+}
+
+/**
+ * Get the response length settings of a session ('short' capped at LLM_MAX_TOKENS by default)
+ */
+function getResponseLength(session) {
+  const variables = session.personaVariables || {};
+  return RESPONSE_LENGTHS[variables.responseLength] || { ...RESPONSE_LENGTHS.short, maxTokens: LLM_MAX_TOKENS };
+}
+
+/**
+ * Build the system prompt from the session's persona and variables
+ */
+function buildSystemPrompt(session) {
+  const persona = personaTemplates.has(session.persona) ? session.persona : DEFAULT_PERSONA;
+  const template = personaTemplates.get(persona) || BOTANIST_SYSTEM_PROMPT;
+  const variables = session.personaVariables || {};
+  
+  return renderTemplate(template, {
+    userName: variables.userName,
+    locale: variables.locale || (session.voiceConfig && session.voiceConfig.languageCode) || DEFAULT_VOICE_CONFIG.languageCode,
+    region: variables.region || DEFAULT_REGION,
+    responseLength: variables.responseLength || 'short',
+    responseLengthGuide: getResponseLength(session).guide
+  });
+}
+
+/**
+ * Apply a persona and its variables from a client request to a session
+ * 
+ * Returns an error message if the settings are invalid (nothing is changed then).
+ */
+function applyPersonaSettings(session, persona, personaVariables) {
+  if (persona !== undefined && (typeof persona !== 'string' || !personaTemplates.has(persona))) {
+    return `Unknown persona. Available personas: ${[...personaTemplates.keys()].join(', ')}`;
+  }
+  
+  if (personaVariables !== undefined) {
+    if (!personaVariables || typeof personaVariables !== 'object' || Array.isArray(personaVariables)) {
+      return 'personaVariables must be an object';
+    }
+    
+    for (const [name, value] of Object.entries(personaVariables)) {
+      if (!PERSONA_VARIABLES.includes(name)) {
+        return `Unknown persona variable ${name}. Supported: ${PERSONA_VARIABLES.join(', ')}`;
+      }
+      if (typeof value !== 'string' || value.length > 100) {
+        return `Persona variable ${name} must be a string of at most 100 characters`;
+      }
+    }
+    
+    if (personaVariables.responseLength && !RESPONSE_LENGTHS[personaVariables.responseLength]) {
+      return `responseLength must be one of: ${Object.keys(RESPONSE_LENGTHS).join(', ')}`;
+    }
+  }
+  
+  if (persona !== undefined) {
+    session.persona = persona;
+  }
+  if (personaVariables !== undefined) {
+    session.personaVariables = { ...session.personaVariables, ...personaVariables };
+  }
+  return null;
+}
+
+/**
+ * Load the guardrail term lists and refusal messages
+ */
+function loadGuardrailRules(filePath) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    logger.info(`Loaded guardrail rules from ${filePath}`);
+  } catch (error) {
+    logger.warn(`Could not load guardrail rules from ${filePath}, only provider moderation applies:`, error.message);
+  }
+  
+  return {
+    plantPattern: buildTermPattern(config.plantTerms),
+    offTopicPattern: buildTermPattern(config.offTopicTerms),
+    abusePattern: buildTermPattern(config.abuseTerms),
+    injectionPatterns: (config.injectionPatterns || []).map(pattern => new RegExp(pattern, 'iu')),
+    refusals: config.refusals || {}
+  };
+}
+
+/**
+ * Build a case-insensitive pattern matching any of the terms as whole words
+ * 
+ * Every word of a term also matches with a plural or verb ending (-s, -es,
+ * -ed, -ing), so "cricket score" matches "cricket scores", and words may be
+ * separated by any whitespace.
+ */
+function buildTermPattern(terms) {
+  if (!Array.isArray(terms) || terms.length === 0) {
+    return null;
+  }
+  
+  const termPatterns = terms.map(term => term.trim().split(/\s+/)
+    .map(word => `${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:s|es|ed|ing)?`)
+    .join('\\s+'));
+  
+  // \b only knows ASCII words, so boundaries are spelled out for Devanagari and other scripts
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${termPatterns.join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'iu');
+}
+
+/**
+ * Hold back streamed reply text until the output guardrail has seen it
+ * 
+ * push(delta) checks every complete sentence with checkGuardrail (the local
+ * abuse rule and, if enabled, provider moderation) and releases it to onDelta
+ * as soon as it passes, in order; after a sentence fails nothing more is
+ * released. finish() checks and releases the rest once the reply is complete
+ * and resolves to the guardrail result of the first blocked sentence, or null.
+ */
+function createOutputGate(onDelta, signal) {
+  if (!GUARDRAIL_ENABLED) {
+    return { push: onDelta, async finish() { return null; } };
+  }
+  
+  let heldText = '';
+  let blocked = null;
+  let failure = null;
+  let checks = Promise.resolve();
+  
+  // Sentences are checked one after another so they are released in order
+  const enqueue = text => {
+    checks = checks.then(async () => {
+      if (blocked || failure) {
+        return;
+      }
+      try {
+        blocked = await checkGuardrail(text, 'output', signal);
+        if (!blocked) {
+          onDelta(text);
+        }
+      } catch (error) {
+        failure = error;
+      }
+    });
+  };
+  
+  return {
+    push(delta) {
+      heldText += delta;
+      
+      // Released text keeps the whitespace between sentences
+      let released = 0;
+      for (const sentence of splitSentences(heldText).sentences) {
+        const sentenceEnd = heldText.indexOf(sentence, released) + sentence.length;
+        enqueue(heldText.slice(released, sentenceEnd));
+        released = sentenceEnd;
+      }
+      heldText = heldText.slice(released);
+    },
+    
+    async finish() {
+      if (heldText.trim()) {
+        enqueue(heldText);
+      }
+      heldText = '';
+      
+      await checks;
+      if (failure) {
+        throw failure;
+      }
+      return blocked;
+    }
+  };
+}
+
+/**
+ * Classify a user message (stage 'input') or model reply (stage 'output')
+ * 
+ * Resolves to null if the text is allowed, otherwise to { reason, stage }
+ * where reason is one of:
+ *   abuse             abusive language
+ *   prompt_injection  attempts to override the assistant's instructions (input only)
+ *   off_topic         clearly unrelated to plants (input only)
+ *   moderation        flagged by provider moderation (with categories)
+ * Only the local rules decide off-topic input: messages without any
+ * off-topic term are left to the model and its system prompt.
+ */
+async function checkGuardrail(text, stage, signal) {
+  if (!GUARDRAIL_ENABLED || !text) {
+    return null;
+  }
+  
+  const rules = guardrailRules;
+  let result = null;
+  
+  if (rules.abusePattern && rules.abusePattern.test(text)) {
+    result = { reason: 'abuse', stage };
+  } else if (stage === 'input' && rules.injectionPatterns.some(pattern => pattern.test(text))) {
+    result = { reason: 'prompt_injection', stage };
+  } else if (stage === 'input' && rules.offTopicPattern && rules.offTopicPattern.test(text) &&
+    !(rules.plantPattern && rules.plantPattern.test(text))) {
+    result = { reason: 'off_topic', stage };
+  } else if (GUARDRAIL_MODERATION === 'openai') {
+    const categories = await moderateWithOpenAI(text, signal);
+    if (categories) {
+      result = { reason: 'moderation', stage, categories };
+    }
+  }
+  
+  if (result) {
+    logger.info(`Guardrail blocked ${stage} (${result.reason})`);
+  }
+  return result;
+}
+
+/**
+ * Check text with the OpenAI moderation API
+ * 
+ * Resolves to the flagged categories, or null if the text was not flagged.
+ * Moderation errors are logged and let the text through, so an outage of the
+ * moderation API does not take the assistant down.
+ */
+async function moderateWithOpenAI(text, signal) {
+  try {
+    const response = await openai.moderations.create({
+      model: 'omni-moderation-latest',
+      input: text,
+    }, { signal });
+    
+    const result = response.results[0];
+    if (!result || !result.flagged) {
+      return null;
+    }
+    return Object.keys(result.categories).filter(category => result.categories[category]);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    logger.warn('Moderation request failed, allowing text:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the refusal message in the session's language, falling back to English
+ */
+function getRefusalMessage(session) {
+  const languageCode = (session.voiceConfig && session.voiceConfig.languageCode) || 'en';
+  const language = languageCode.split('-')[0].toLowerCase();
+  return guardrailRules.refusals[language] || guardrailRules.refusals.en || DEFAULT_REFUSAL_MESSAGE;
+}
+
+/**
+ * Parse and validate a structured JSON reply, retrying with repair instructions
+ * 
+ * Each failed attempt is sent back to the model together with the
+ * validation errors, up to STRUCTURED_REPAIR_ATTEMPTS times. Throws if the
+ * reply is still invalid, so the turn fails instead of returning broken JSON.
+ */
+async function getStructuredResponse(session, messages, responseText, signal) {
+  let text = responseText;
+  const repairMessages = [...messages];
+  
+  for (let attempt = 0; ; attempt++) {
+    let errors;
+    try {
+      const value = parseModelJson(text);
+      errors = validateStructuredResponse(value);
+      if (errors.length === 0) {
+        return {
+          answer: value.answer.trim(),
+          speciesMentioned: value.speciesMentioned,
+          careActions: value.careActions.map(({ action, frequency }) => ({ action, frequency: frequency || null })),
+          warnings: value.warnings,
+          followUpQuestions: value.followUpQuestions
+        };
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+    
+    if (attempt >= STRUCTURED_REPAIR_ATTEMPTS) {
+      throw new Error(`Invalid structured response: ${errors.join('; ')}`);
+    }
+    
+    logger.warn(`Structured response failed validation (${errors.join('; ')}), asking for a repair`);
+    repairMessages.push(
+      { role: 'assistant', content: text },
+      { role: 'user', content: `Your reply was not valid: ${errors.join('; ')}. Reply again with only the corrected JSON object in the required format.` }
+    );
+    
+    ({ text } = await generateWithFailover(session, {
+      messages: repairMessages,
+      jsonMode: true,
+      temperature: 0,
+      maxTokens: STRUCTURED_MAX_TOKENS,
+      signal,
+    }));
+  }
+}
+
+/**
+ * Check a structured reply against the response schema, returning the errors
+ */
+function validateStructuredResponse(value) {
+  const errors = [];
+  const isStringList = (list) => Array.isArray(list) && list.every(item => typeof item === 'string');
+  
+  if (typeof value.answer !== 'string' || !value.answer.trim()) {
+    errors.push('"answer" must be a non-empty string');
+  }
+  for (const field of ['speciesMentioned', 'warnings', 'followUpQuestions']) {
+    if (!isStringList(value[field])) {
+      errors.push(`"${field}" must be a list of strings`);
+    }
+  }
+  
+  const isCareAction = (item) => item && typeof item.action === 'string' &&
+    (item.frequency === undefined || item.frequency === null || typeof item.frequency === 'string');
+  if (!Array.isArray(value.careActions) || !value.careActions.every(isCareAction)) {
+    errors.push('"careActions" must be a list of { "action": string, "frequency": string or null }');
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a base64 photo (optionally a data URL) from a client
+ * 
+ * Returns { image: { mimeType, data } } or { error }.
+ */
+function parseImageInput(image, mimeType) {
+  if (typeof image !== 'string' || !image) {
+    return { error: 'image must be a base64 string' };
+  }
+  
+  const dataUrlMatch = image.match(/^data:([^;,]+);base64,(.*)$/s);
+  return validateImage(
+    Buffer.from(dataUrlMatch ? dataUrlMatch[2] : image, 'base64'),
+    dataUrlMatch ? dataUrlMatch[1] : mimeType
+  );
+}
+
+/**
+ * Check the type and size of photo bytes
+ */
+function validateImage(buffer, mimeType) {
+  if (!IMAGE_MIME_TYPES.includes(mimeType)) {
+    return { error: `Image type must be one of: ${IMAGE_MIME_TYPES.join(', ')}` };
+  }
+  if (buffer.length === 0) {
+    return { error: 'Image is empty' };
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    return { error: `Image is larger than ${MAX_IMAGE_BYTES} bytes` };
+  }
+  
+  return { image: { mimeType, data: buffer.toString('base64') } };
+}
+
+/**
+ * Build an OpenAI image content part for a photo
+ */
+function toImageContentPart(image) {
+  return { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } };
+}
+
+/**
+ * Identify the plant in a photo and list visible problems
+ * 
+ * Resolves to { species, commonName, confidence, issues } where issues are
+ * { name, severity, description }, or null if the analysis could not be
+ * parsed (the reply is still generated from the photo itself).
+ */
+async function analyzePlantPhoto(session, userMessage, image, signal) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You identify plants and diagnose visible problems from photos.
+Respond with JSON only, in this format:
+{"species": "scientific name or null", "commonName": "common name or null", "confidence": 0.0, "issues": [{"name": "", "severity": "low|medium|high", "description": ""}]}
+- confidence is between 0 and 1
+- issues lists visible problems such as yellowing, leaf spots, pests or sunburn; use an empty list for a healthy plant
+- if the photo does not show a plant, use null for species and 0 for confidence`
+    },
+    {
+      role: 'user',
+      content: [{ type: 'text', text: `The user asks: ${userMessage}` }, toImageContentPart(image)]
+    }
+  ];
+  
+  const { text } = await generateWithFailover(session, {
+    messages,
+    temperature: 0,
+    maxTokens: 400,
+    signal,
+  });
+  
+  try {
+    const parsed = parseModelJson(text);
+    const confidence = Number(parsed.confidence);
+    
+    return {
+      species: typeof parsed.species === 'string' && parsed.species ? parsed.species : null,
+      commonName: typeof parsed.commonName === 'string' && parsed.commonName ? parsed.commonName : null,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+      issues: (Array.isArray(parsed.issues) ? parsed.issues : [])
+        .filter(issue => issue && typeof issue.name === 'string')
+        .map(issue => ({
+          name: issue.name,
+          severity: ['low', 'medium', 'high'].includes(issue.severity) ? issue.severity : 'medium',
+          description: typeof issue.description === 'string' ? issue.description : ''
+        }))
+    };
+  } catch (error) {
+    logger.warn('Could not parse photo analysis:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Describe a photo turn for the stored conversation, which never keeps the image
+ */
+function describePhotoMessage(userMessage, imageAnalysis) {
+  if (!imageAnalysis) {
+    return `${userMessage}\n[Photo attached]`;
+  }
+  
+  const plant = imageAnalysis.species
+    ? `likely ${imageAnalysis.commonName || imageAnalysis.species} (${imageAnalysis.species}, confidence ${imageAnalysis.confidence.toFixed(2)})`
+    : 'no plant identified';
+  const issues = imageAnalysis.issues.length > 0
+    ? imageAnalysis.issues.map(issue => `${issue.name} (${issue.severity})`).join(', ')
+    : 'none';
+  
+  return `${userMessage}\n[Photo attached: ${plant}; visible issues: ${issues}]`;
+}
+
+/**
+ * Add a tool the model can call
+ * 
+ * A tool is { name, description, parameters, execute } where parameters is a
+ * JSON schema for the arguments (kept to the subset Gemini accepts) and
+ * execute(args, { session, signal }) returns a JSON-serializable result.
+ */
+function registerTool(tool) {
+  llmTools.set(tool.name, tool);
+}
+
+/**
+ * Run a tool call from the model
+ * 
+ * Errors are returned to the model as { error } results so it can recover.
+ */
+async function executeTool(toolCall, context) {
+  const tool = llmTools.get(toolCall.name);
+  if (!tool) {
+    return { error: `Unknown tool ${toolCall.name}` };
+  }
+  
+  try {
+    const result = await tool.execute(toolCall.arguments || {}, context);
+    logger.info(`Tool ${toolCall.name} called with ${JSON.stringify(toolCall.arguments)}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error running tool ${toolCall.name}:`, error);
+    metrics.errors.inc({ stage: 'tool', class: classifyError(error) });
+    return { error: `Tool ${toolCall.name} failed` };
+  }
+}
+
+/**
+ * Load the care requirements dataset used by the get_care_requirements tool
+ */
+function loadCareRequirements(filePath) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    logger.info(`Loaded care requirements for ${entries.length} species from ${filePath}`);
+    return entries;
+  } catch (error) {
+    logger.error(`Error loading care requirements from ${filePath}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Find the care requirements of a species by scientific or common name
+ */
+function findCareRequirements(name) {
+  const query = String(name || '').trim().toLowerCase();
+  if (!query) {
+    return null;
+  }
+  
+  const names = (entry) => [entry.species, ...entry.commonNames].map(value => value.toLowerCase());
+  
+  // Exact names first, then partial matches such as "Ocimum" or "holy basil plant"
+  return careRequirements.find(entry => names(entry).includes(query)) ||
+    careRequirements.find(entry => names(entry).some(value => query.includes(value) || value.includes(query))) ||
+    null;
+}
+
+/**
+ * Estimate the days between waterings
+ * 
+ * Small pots dry out faster, bright light and summer heat speed it up, the
+ * monsoon and winter slow it down. The species' water needs from the care
+ * dataset adjust the result when known.
+ */
+function calculateWateringInterval({ potSizeCm, light, season, species }) {
+  if (typeof potSizeCm !== 'number' || !(potSizeCm > 0)) {
+    return { error: 'potSizeCm must be a positive number' };
+  }
+  
+  const lightFactors = { low: 1.4, medium: 1, bright: 0.75 };
+  const seasonFactors = { summer: 0.7, monsoon: 1.5, winter: 1.4, spring: 1, autumn: 1 };
+  const waterNeedFactors = { low: 2, medium: 1, high: 0.6 };
+  
+  if (!lightFactors[light]) {
+    return { error: `light must be one of: ${Object.keys(lightFactors).join(', ')}` };
+  }
+  if (!seasonFactors[season]) {
+    return { error: `season must be one of: ${Object.keys(seasonFactors).join(', ')}` };
+  }
+  
+  // Roughly one day per 4 cm of pot diameter in average conditions
+  const baseDays = Math.max(2, potSizeCm / 4);
+  const entry = species ? findCareRequirements(species) : null;
+  const waterNeedFactor = entry ? waterNeedFactors[entry.water] || 1 : 1;
+  
+  const intervalDays = Math.max(1, Math.round(baseDays * lightFactors[light] * seasonFactors[season] * waterNeedFactor));
+  
+  return {
+    intervalDays,
+    species: entry ? entry.species : species || null,
+    note: 'Check that the top few centimetres of soil are dry before watering'
+  };
+}
+
+/**
+ * Roughly estimate the number of tokens in a text (about 4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimate the tokens of chat messages, including per-message overhead
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+/**
+ * Get the conversation token budget for a model
+ */
+function getContextTokenBudget(modelId) {
+  return CONTEXT_TOKEN_BUDGETS[modelId] || CONTEXT_TOKEN_BUDGET;
+}
+
+/**
+ * Build the system message carrying the running summary and pinned facts
+ */
+function buildMemoryMessages(session) {
+  const sections = [];
+  
+  if (session.conversationSummary) {
+    sections.push(`Summary of the earlier conversation:\n${session.conversationSummary}`);
+  }
+  
+  const facts = session.pinnedFacts || {};
+  const factLines = [
+    ['Plants', facts.plants],
+    ['Locations', facts.locations],
+    ['Symptoms', facts.symptoms],
+  ]
+    .filter(([, values]) => values && values.length > 0)
+    .map(([label, values]) => `- ${label}: ${values.join('; ')}`);
+  
+  if (factLines.length > 0) {
+    sections.push(`Key facts the user has told you (always take these into account):\n${factLines.join('\n')}`);
+  }
+  
+  if (sections.length === 0) {
+    return [];
+  }
+  
+  return [{ role: 'system', content: sections.join('\n\n') }];
+}
+
+/**
+ * Keep the conversation within the model's token budget
+ * 
+ * When the history is over budget, the oldest turns are folded into the
+ * session's running summary and key facts (plant species, locations,
+ * symptoms) are pinned so they survive every later compaction. The most
+ * recent turns, up to half the budget, are kept verbatim. Pinned facts are
+ * never dropped, so they do not count towards the budget.
+ * 
+ * Resolves to the history to send with this turn. If summarizing fails,
+ * the older messages stay in the session for the next attempt and only
+ * the recent ones are sent.
+ */
+async function compactConversation(session, signal) {
+  const budget = getContextTokenBudget(session.modelId);
+  const context = session.conversationContext;
+  
+  const summaryTokens = session.conversationSummary ? estimateTokens(session.conversationSummary) : 0;
+  if (summaryTokens + estimateMessagesTokens(context) <= budget) {
+    return context;
+  }
+  
+  // Always keep the latest message, then as many recent ones as fit in half the budget
+  let keepFrom = context.length - 1;
+  let keptTokens = estimateMessagesTokens([context[keepFrom]]);
+  while (keepFrom > 0 && keptTokens + estimateMessagesTokens([context[keepFrom - 1]]) <= budget / 2) {
+    keepFrom--;
+    keptTokens += estimateMessagesTokens([context[keepFrom]]);
+  }
+  
+  const olderMessages = context.slice(0, keepFrom);
+  if (olderMessages.length === 0) {
+    return context;
+  }
+  
+  try {
+    const { summary, facts } = await summarizeConversation(session, olderMessages, signal);
+    session.conversationSummary = summary;
+    session.pinnedFacts = mergePinnedFacts(session.pinnedFacts, facts);
+    logger.info(`Summarized ${olderMessages.length} older messages of session ${session.id}`);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    
+    // The turn must still fit the budget, so it leaves out the old messages, but they
+    // are kept (with the previous summary) to be summarized on a later turn
+    logger.warn(`Could not summarize older messages of session ${session.id}, keeping them for later:`, error.message);
+    return context.slice(keepFrom);
+  }
+  
+  session.conversationContext = context.slice(keepFrom);
+  return session.conversationContext;
+}
+
+/**
+ * Ask the model to fold older messages into the running summary and extract key facts
+ */
+async function summarizeConversation(session, olderMessages, signal) {
+  const transcript = olderMessages
+    .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+    .join('\n');
+  
+  const messages = [
+    {
+      role: 'system',
+      content: `You maintain the memory of a conversation between a user and a plant care assistant.
+Update the running summary with the new messages and list the key facts.
+Respond with JSON only, in this format:
+{"summary": "at most 120 words", "facts": {"plants": [], "locations": [], "symptoms": []}}
+- plants: species or nicknames of the user's plants, e.g. "monstera (bedroom)"
+- locations: where the user or the plants are, e.g. "balcony", "Pune"
+- symptoms: problems the user described, e.g. "yellow lower leaves on monstera"`
+    },
+    {
+      role: 'user',
+      content: `Current summary: ${session.conversationSummary || '(none)'}
+
+New messages:
+${transcript}`
+    }
+  ];
+  
+  const { text } = await generateWithFailover(session, {
+    messages,
+    temperature: 0,
+    maxTokens: 400,
+    signal,
+  });
+  
+  const parsed = parseModelJson(text);
+  return {
+    summary: typeof parsed.summary === 'string' ? parsed.summary : session.conversationSummary || '',
+    facts: parsed.facts || {}
+  };
+}
+
+/**
+ * Parse a JSON object from model output
+ * 
+ * Models sometimes wrap JSON in prose or code fences, so the outermost
+ * braces are extracted first. Throws if no valid JSON object is found.
+ */
+function parseModelJson(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Model response did not contain JSON');
+  }
+  
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Merge newly extracted facts into the pinned facts, most recent last
+ */
+function mergePinnedFacts(pinnedFacts, newFacts) {
+  const merged = {};
+  
+  for (const category of ['plants', 'locations', 'symptoms']) {
+    const existing = (pinnedFacts && pinnedFacts[category]) || [];
+    const additions = Array.isArray(newFacts[category]) ? newFacts[category].filter(fact => typeof fact === 'string') : [];
+    
+    const values = [...existing];
+    for (const fact of additions) {
+      const index = values.findIndex(value => value.toLowerCase() === fact.toLowerCase());
+      if (index !== -1) {
+        values.splice(index, 1);
+      }
+      values.push(fact);
+    }
+    
+    merged[category] = values;
+  }
+  
+  return merged;
+}
+
+/**
+ * Get the models to try for a session: its own model first, then the fallback chain
+ */
+function getModelCandidates(session, { requireVision = false } = {}) {
+  const primaryProvider = getProvider(session.modelType);
+  const candidates = [{
+    id: session.modelId || primaryProvider.defaultModel,
+    type: primaryProvider.type
+  }];
+  
+  for (const fallback of LLM_FALLBACK_CHAIN) {
+    const isRegistered = llmProviders.has(fallback.type);
+    const isDuplicate = candidates.some(candidate => candidate.type === fallback.type && candidate.id === fallback.id);
+    if (isRegistered && !isDuplicate) {
+      candidates.push(fallback);
+    }
+  }
+  
+  // Photos can only go to providers that accept images
+  if (requireVision) {
+    return candidates.filter(candidate => llmProviders.get(candidate.type).supportsVision);
+  }
+  
+  return candidates;
+}
+
+/**
+ * Get a reply from the first healthy provider in the fallback chain
+ * 
+ * Resolves to { text, toolCalls, model }. With onDelta the reply is streamed
+ * and text deltas are passed to it as they arrive; without it the complete
+ * reply is requested with the provider's generate(). Tool calls are collected
+ * rather than passed to onDelta so a failed attempt can still be retried.
+ * 
+ * Each candidate is retried with exponential backoff on 429/5xx and network
+ * errors. Providers whose circuit breaker is open are skipped. Once text has
+ * reached onDelta the turn is committed to that provider and errors are
+ * thrown instead of switching, so the client never gets a mixed reply.
+ */
+async function generateWithFailover(session, request, onDelta) {
+  const { signal } = request;
+  const requireVision = request.messages.some(message => Array.isArray(message.content));
+  let lastError = null;
+  
+  for (const candidate of getModelCandidates(session, { requireVision })) {
+    const provider = llmProviders.get(candidate.type);
+    
+    if (isCircuitOpen(candidate.type)) {
+      logger.warn(`Skipping ${candidate.type}/${candidate.id} - circuit breaker is open`);
+      continue;
+    }
+    
+    let hasEmittedText = false;
+    
+    try {
+      const result = await withRetries(async () => {
+        const labels = { provider: candidate.type, model: candidate.id };
+        const endGeneration = metrics.llmDuration.startTimer(labels);
+        
+        if (!onDelta) {
+          const generated = await provider.generate({ ...request, model: candidate.id });
+          endGeneration();
+          return generated;
+        }
+        
+        const endFirstToken = metrics.llmTimeToFirstToken.startTimer(labels);
+        let text = '';
+        const toolCalls = [];
+        let usage = null;
+        for await (const event of provider.stream({ ...request, model: candidate.id })) {
+          if (typeof event !== 'string') {
+            if (event.usage) {
+              usage = event.usage;
+            } else {
+              toolCalls.push(event.toolCall);
+            }
+            continue;
+          }
+          if (!hasEmittedText) {
+            endFirstToken();
+          }
+          hasEmittedText = true;
+          text += event;
+          onDelta(event);
+        }
+        
+        endGeneration();
+        return { text, toolCalls, usage };
+      }, {
+        signal,
+        label: `${candidate.type}/${candidate.id}`,
+        canRetry: () => !hasEmittedText
+      });
+      
+      recordProviderSuccess(candidate.type);
+      
+      // Token counts reported by the provider, or estimated if it reports none
+      const { text, toolCalls } = result;
+      const usage = result.usage || {
+        promptTokens: estimateMessagesTokens(request.messages),
+        completionTokens: estimateTokens(text + (toolCalls.length > 0 ? JSON.stringify(toolCalls) : ''))
+      };
+      recordUsage(session, usage, { provider: candidate.type, model: candidate.id });
+      
+      return { text, toolCalls, model: candidate };
+    } catch (error) {
+      // A cancelled call says nothing about the provider's health
+      if (signal && signal.aborted) {
+        releaseProviderTrial(candidate.type);
+        throw error;
+      }
+      
+      // Errors caused by the request itself (an oversized context, a bad image, an unknown
+      // model) would fail anywhere and must not open the circuit for every other session
+      if (isProviderError(error)) {
+        recordProviderFailure(candidate.type);
+      } else {
+        releaseProviderTrial(candidate.type);
+      }
+      metrics.errors.inc({ stage: 'llm', class: classifyError(error) });
+      lastError = error;
+      
+      // Make sure no call of the abandoned attempt is left running
+      if (signal) {
+        provider.cancel(signal);
+      }
+      
+      if (hasEmittedText) {
+        throw error;
+      }
+      
+      logger.warn(`Provider ${candidate.type}/${candidate.id} failed (${error.message}), trying next in fallback chain`);
+    }
+  }
+  
+  throw lastError || new Error('No LLM provider available');
+}
+
+/**
+ * Check whether an LLM error is worth retrying (rate limits, server and network errors)
+ */
+function isRetryableError(error) {
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+  
+  // No HTTP status means the request did not complete (connection reset, timeout, ...)
+  return error.name !== 'AbortError';
+}
+
+/**
+ * Check whether an LLM error says the provider is unhealthy: retryable
+ * errors plus rejected credentials (401, 403)
+ */
+function isProviderError(error) {
+  return isRetryableError(error) || error.status === 401 || error.status === 403;
+}
+
+/**
+ * Run an operation, retrying retryable errors with exponential backoff
+ */
+async function withRetries(operation, { signal, label, canRetry }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      const shouldRetry = attempt < LLM_MAX_RETRIES &&
+        !(signal && signal.aborted) &&
+        isRetryableError(error) &&
+        canRetry();
+      
+      if (!shouldRetry) {
+        throw error;
+      }
+      
+      // Exponential backoff with a little jitter so clients do not retry in lockstep
+      const delay = LLM_RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 100);
+      logger.warn(`${label} failed (${error.status || error.message}), retry ${attempt + 1}/${LLM_MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Check whether calls to a provider are currently blocked by its circuit breaker
+ * 
+ * After LLM_CIRCUIT_FAILURE_THRESHOLD consecutive failures the circuit opens
+ * for LLM_CIRCUIT_COOLDOWN_MS. After the cooldown a single trial call is let
+ * through; its outcome closes or re-opens the circuit.
+ */
+function isCircuitOpen(providerType) {
+  const circuit = providerCircuits.get(providerType);
+  if (!circuit || circuit.openUntil === 0) {
+    return false;
+  }
+  
+  if (Date.now() < circuit.openUntil || circuit.isTrialInFlight) {
+    return true;
+  }
+  
+  // Cooldown is over, allow one trial call (half-open)
+  circuit.isTrialInFlight = true;
+  return false;
+}
+
+/**
+ * Close a provider's circuit after a successful call
+ */
+function recordProviderSuccess(providerType) {
+  if (providerCircuits.has(providerType)) {
+    logger.info(`Provider ${providerType} recovered, closing circuit breaker`);
+    providerCircuits.delete(providerType);
+  }
+}
+
+/**
+ * End a half-open trial call without an outcome (e.g. it was cancelled), so
+ * the next call can be the trial instead
+ */
+function releaseProviderTrial(providerType) {
+  const circuit = providerCircuits.get(providerType);
+  if (circuit) {
+    circuit.isTrialInFlight = false;
+  }
+}
+
+/**
+ * Count a failed call and open the provider's circuit when the threshold is reached
+ */
+function recordProviderFailure(providerType) {
+  const circuit = providerCircuits.get(providerType) || { failures: 0, openUntil: 0, isTrialInFlight: false };
+  circuit.failures++;
+  
+  if (circuit.isTrialInFlight || circuit.failures >= LLM_CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + LLM_CIRCUIT_COOLDOWN_MS;
+    logger.warn(`Opening circuit breaker for provider ${providerType} for ${LLM_CIRCUIT_COOLDOWN_MS}ms after ${circuit.failures} failures`);
+  }
+  circuit.isTrialInFlight = false;
+  
+  providerCircuits.set(providerType, circuit);
+}
+
+/**
+ * Add a provider to the registry
+ */
+function registerProvider(provider) {
+  llmProviders.set(provider.type, provider);
+  logger.info(`Registered LLM provider ${provider.type} (${provider.name}) with models: ${provider.models.join(', ')}`);
+}
+
+/**
+ * Get the provider for a model type, falling back to OpenAI
+ */
+function getProvider(modelType) {
+  return llmProviders.get(modelType) || llmProviders.get('openai');
+}
+
+/**
+ * Validate a client's model selection against the registered providers
+ * 
+ * current is the session's { modelId, modelType }. A new modelType without
+ * a modelId selects that provider's default model; a modelId alone must
+ * belong to the current provider. Returns { value: { modelId, modelType } }
+ * or { error }.
+ */
+function resolveModelSelection(current, { modelId, modelType }) {
+  if (modelType && (typeof modelType !== 'string' || !llmProviders.has(modelType))) {
+    return { error: `Unknown modelType, expected one of: ${[...llmProviders.keys()].join(', ')}` };
+  }
+  
+  const provider = modelType ? llmProviders.get(modelType) : getProvider(current.modelType);
+  if (modelId && (typeof modelId !== 'string' || !provider.models.includes(modelId))) {
+    return { error: `Unknown modelId for ${provider.type}, expected one of: ${provider.models.join(', ')}` };
+  }
+  
+  const keepsProvider = provider.type === current.modelType;
+  return {
+    value: {
+      modelType: provider.type,
+      modelId: modelId || (keepsProvider && current.modelId) || provider.defaultModel
+    }
+  };
+}
+
+/**
+ * Define an LLM provider from a text streaming function
+ * 
+ * Every provider exposes the same interface:
+ *   stream(request)   async iterable of text deltas (strings), when the
+ *                     model calls tools { toolCall: { id, name, arguments } },
+ *                     and at the end, if the API reports it,
+ *                     { usage: { promptTokens, completionTokens } }
+ *   generate(request) resolves to the complete reply as { text, toolCalls, usage }
+ *                     (usage is null if the API reports none)
+ *   cancel(signal)    aborts this provider's in-flight calls that were started
+ *                     with that signal, without aborting the signal itself
+ * 
+ * A request is { model, messages, tools, toolChoice, jsonMode, temperature,
+ * maxTokens, signal } where messages use the OpenAI chat format (including assistant
+ * tool_calls, tool results and, for providers with supportsVision, image_url
+ * content parts with data URLs), tools is an optional list of { name,
+ * description, parameters }, toolChoice is 'auto' or 'none', jsonMode asks
+ * for a JSON object reply and signal is an optional AbortSignal that
+ * cancels the call (streamText(request, signal) receives it).
+ */
+function defineProvider({ type, name, models, supportsVision = false, streamText }) {
+  // Controllers of in-flight calls by the signal they were started with
+  const inFlight = new Map();
+  
+  const provider = {
+    type,
+    name,
+    models,
+    supportsVision,
+    defaultModel: models[0],
+    
+    async *stream(request) {
+      const { signal } = request;
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      
+      if (signal) {
+        if (signal.aborted) {
+          controller.abort();
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (!inFlight.has(signal)) {
+          inFlight.set(signal, new Set());
+        }
+        inFlight.get(signal).add(controller);
+      }
+      
+      try {
+        yield* streamText({ ...request, signal: controller.signal }, controller.signal);
+      } finally {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+          const controllers = inFlight.get(signal);
+          controllers.delete(controller);
+          if (controllers.size === 0) {
+            inFlight.delete(signal);
+          }
+        }
+      }
+    },
+    
+    async generate(request) {
+      let text = '';
+      const toolCalls = [];
+      let usage = null;
+      
+      for await (const event of provider.stream(request)) {
+        if (typeof event === 'string') {
+          text += event;
+        } else if (event.usage) {
+          usage = event.usage;
+        } else {
+          toolCalls.push(event.toolCall);
+        }
+      }
+      
+      return { text, toolCalls, usage };
+    },
+    
+    cancel(signal) {
+      for (const controller of inFlight.get(signal) || []) {
+        controller.abort();
+      }
+    }
+  };
+  
+  return provider;
+}
+
+/**
+ * Create a provider for OpenAI or any server exposing the OpenAI chat completions API
+ */
+function createOpenAICompatibleProvider({ type, name, client, models, supportsVision = false, streamUsage = true }) {
+  return defineProvider({
+    type,
+    name,
+    models,
+    supportsVision,
+    
+    async *streamText({ model, messages, tools, toolChoice, jsonMode, temperature, maxTokens }, signal) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        tools: tools && tools.map(tool => ({ type: 'function', function: tool })),
+        tool_choice: tools ? toolChoice : undefined,
+        response_format: jsonMode ? { type: 'json_object' } : undefined,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        // Token counts arrive in a final chunk without choices
+        stream_options: streamUsage ? { include_usage: true } : undefined,
+      }, { signal });
+      
+      // Tool calls arrive in fragments spread over several chunks, keyed by index
+      const toolCalls = [];
+      let usage = null;
+      
+      for await (const chunk of response) {
+        if (chunk.usage) {
+          usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+        }
+        
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) {
+          continue;
+        }
+        
+        if (delta.content) {
+          yield delta.content;
+        }
+        
+        for (const fragment of delta.tool_calls || []) {
+          const toolCall = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', arguments: '' });
+          toolCall.id = fragment.id || toolCall.id;
+          toolCall.name += fragment.function?.name || '';
+          toolCall.arguments += fragment.function?.arguments || '';
+        }
+      }
+      
+      for (const toolCall of toolCalls.filter(Boolean)) {
+        yield {
+          toolCall: {
+            id: toolCall.id || `call_${uuidv4()}`,
+            name: toolCall.name,
+            arguments: parseToolArguments(toolCall.arguments)
+          }
+        };
+      }
+      
+      if (usage) {
+        yield { usage };
+      }
+    }
+  });
+}
+
+/**
+ * Create the Gemini provider
+ */
+function createGeminiProvider({ models }) {
+  return defineProvider({
+    type: 'gemini',
+    name: 'Google Gemini',
+    models,
+    supportsVision: true,
+    
+    streamText({ model, messages, tools, toolChoice, jsonMode, temperature, maxTokens }, signal) {
+      return streamGeminiResponse(messages, model, { tools, toolChoice, jsonMode, temperature, maxTokens }, signal);
+    }
+  });
+}
+
+/**
+ * Parse the JSON arguments of a tool call, tolerating empty or malformed output
+ */
+function parseToolArguments(value) {
+  if (!value) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Could not parse tool call arguments: ${value}`);
+    return {};
+  }
+}
+
+/**
+ * Convert OpenAI-style chat messages to a Gemini request
+ * 
+ * System messages become the systemInstruction, assistant turns use the
+ * "model" role and consecutive messages of the same role are merged. Tool
+ * calls become functionCall parts and tool results functionResponse parts.
+ */
+function toGeminiContents(messages) {
+  const systemTexts = [];
+  const contents = [];
+  const toolNames = new Map();
+  
+  for (const message of messages) {
+    if (message.role === 'system') {
+      systemTexts.push(message.content);
+      continue;
+    }
+    
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const parts = [];
+    
+    if (message.role === 'tool') {
+      const response = parseToolArguments(message.content);
+      parts.push({
+        functionResponse: {
+          name: toolNames.get(message.tool_call_id),
+          // Gemini requires an object here
+          response: response && typeof response === 'object' && !Array.isArray(response) ? response : { result: response }
+        }
+      });
+    } else if (Array.isArray(message.content)) {
+      parts.push(...message.content.map(toGeminiPart));
+    } else if (message.content) {
+      parts.push({ text: message.content });
+    }
+    
+    for (const toolCall of message.tool_calls || []) {
+      toolNames.set(toolCall.id, toolCall.function.name);
+      parts.push({ functionCall: { name: toolCall.function.name, args: parseToolArguments(toolCall.function.arguments) } });
+    }
+    
+    const lastContent = contents[contents.length - 1];
+    
+    if (lastContent && lastContent.role === role) {
+      lastContent.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+  
+  // Gemini expects the conversation to start with a user turn
+  while (contents.length > 0 && contents[0].role === 'model') {
+    contents.shift();
+  }
+  
+  return {
+    systemInstruction: systemTexts.length > 0
+      ? { parts: [{ text: systemTexts.join('\n\n') }] }
+      : undefined,
+    contents
+  };
+}
+
+/**
+ * Convert an OpenAI content part (text or data URL image) to a Gemini part
+ */
+function toGeminiPart(part) {
+  if (part.type === 'image_url') {
+    const [, mimeType, data] = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/s);
+    return { inlineData: { mimeType, data } };
+  }
+  
+  return { text: part.text };
+}
+
+/**
+ * Convert a tool to a Gemini function declaration
+ * 
+ * Gemini rejects object schemas without properties, so tools that take no
+ * arguments are declared without parameters.
+ */
+function toGeminiFunctionDeclaration({ name, description, parameters }) {
+  const hasParameters = parameters && Object.keys(parameters.properties || {}).length > 0;
+  return hasParameters ? { name, description, parameters } : { name, description };
+}
+
+/**
+ * Read the data payloads of a server-sent events response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    
+    // Events are separated by a blank line
+    let separatorIndex;
+    while ((separatorIndex = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const event = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex).replace(/^\r?\n\r?\n/, '');
+      
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      
+      if (data) {
+        yield data;
+      }
+    }
+  }
+}
+
+/**
+ * Stream a response from the Gemini API
+ * 
+ * Yields text deltas and { toolCall } events. Errors (including cancellation)
+ * are thrown to the caller.
+ */
+async function* streamGeminiResponse(messages, modelId, generationOptions, signal) {
+  const { systemInstruction, contents } = toGeminiContents(messages);
+  
+  const geminiApiEndpoint = `${GEMINI_API_BASE_URL}/models/${modelId}:streamGenerateContent?alt=sse`;
+  
+  // Prepare request for Gemini API
+  const requestBody = {
+    systemInstruction,
+    contents,
+    tools: generationOptions.tools
+      ? [{ functionDeclarations: generationOptions.tools.map(toGeminiFunctionDeclaration) }]
+      : undefined,
+    toolConfig: generationOptions.tools && generationOptions.toolChoice === 'none'
+      ? { functionCallingConfig: { mode: 'NONE' } }
+      : undefined,
+    generationConfig: {
+      temperature: generationOptions.temperature,
+      maxOutputTokens: generationOptions.maxTokens,
+      // Gemini rejects a JSON response type together with function calling,
+      // in that case the prompt and validation keep the reply in shape
+      responseMimeType: generationOptions.jsonMode && !generationOptions.tools ? 'application/json' : undefined,
+    }
+  };
+  
+  // Call Gemini API
+  const response = await fetch(geminiApiEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': config.GEMINI_API_KEY,
+    },
+    body: JSON.stringify(requestBody),
+    signal,
+  });
+  
+  if (!response.ok) {
+    const error = new Error(`Gemini API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  // Every chunk carries the token counts so far; the last one has the totals
+  let usageMetadata = null;
+  
+  for await (const eventData of readServerSentEvents(response.body)) {
+    const data = JSON.parse(eventData);
+    const candidate = data.candidates && data.candidates[0];
+    usageMetadata = data.usageMetadata || usageMetadata;
+    
+    // Extract text and function calls from the streamed candidate
+    if (candidate && candidate.content && candidate.content.parts) {
+      const text = candidate.content.parts.map(part => part.text || '').join('');
+      if (text) {
+        yield text;
+      }
+      
+      for (const part of candidate.content.parts) {
+        if (part.functionCall) {
+          yield {
+            toolCall: {
+              // Gemini does not assign ids to function calls
+              id: `call_${uuidv4()}`,
+              name: part.functionCall.name,
+              arguments: part.functionCall.args || {}
+            }
+          };
+        }
+      }
+    }
+  }
+  
+  if (usageMetadata) {
+    yield {
+      usage: {
+        promptTokens: usageMetadata.promptTokenCount || 0,
+        completionTokens: usageMetadata.candidatesTokenCount || 0
+      }
+    };
+  }
+}
+
+/**
+ * Wait for a cancellable Google API call, cancelling it when the signal aborts
+ */
+async function withCancellation(call, signal) {
+  if (!signal) {
+    return call;
+  }
+  
+  const onAbort = () => {
+    if (typeof call.cancel === 'function') {
+      call.cancel();
+    }
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  
+  try {
+    return await call;
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Convert text to speech
+ */
+async function textToSpeech(text, voiceConfig, signal) {
+  // Nothing to do if the turn was cancelled before synthesis started
+  if (signal && signal.aborted) {
+    return null;
+  }
+  
+  try {
+    // Set default voice parameters if not provided
+    const voice = {
+      languageCode: voiceConfig?.languageCode || DEFAULT_VOICE_CONFIG.languageCode,
+      ssmlGender: voiceConfig?.ssmlGender || DEFAULT_VOICE_CONFIG.ssmlGender,
+      name: voiceConfig?.name || DEFAULT_VOICE_CONFIG.name
+    };
+    
+    // Log the voice being used
+    logger.info(`Converting text to speech using voice: ${voice.name} (${voice.languageCode})`);
+    
+    // Build the synthesis request
+    const request = {
+      input: { text },
+      voice: voice,
+      audioConfig: { audioEncoding: 'MP3' },
+    };
+    
+    // Generate speech
+    const endSynthesis = metrics.ttsDuration.startTimer();
+    const [response] = await withCancellation(ttsClient.synthesizeSpeech(request), signal);
+    endSynthesis();
+    
+    // Return the audio content as Buffer
+    return Buffer.from(response.audioContent);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      logger.debug('Text-to-speech cancelled');
+      return null;
+    }
+    
+    logger.error('Error in text-to-speech:', error);
+    metrics.errors.inc({ stage: 'tts', class: classifyError(error) });
+    return null;
+  }
+}
+
+/**
+ * Process complete audio data for transcription and response
+ */
+async function processAudioData(connectionData, audioBuffer, mimeType) {
+  let turn = null;
+  
+  try {
+    // Log the current voice configuration for debugging
+    logger.info(`Processing audio with voice config: ${JSON.stringify(connectionData.voiceConfig)}`);
+    logger.info(`Audio buffer type: ${typeof audioBuffer}, size: ${audioBuffer.length} bytes, mime type: ${mimeType}`);
+    
+    // Debug check - verify the buffer is valid
+    if (!audioBuffer || audioBuffer.length === 0) {
+      logger.error('Audio buffer is empty or invalid');
+      sendError(connectionData.ws, 'Invalid audio data received');
+      return;
+    }
+    
+    // Debug check for FLAC files
+    if (mimeType && mimeType.toLowerCase().includes('flac')) {
+      logger.info('Processing FLAC audio file');
+      // Check for FLAC magic number (first 4 bytes should be "fLaC")
+      if (audioBuffer.length >= 4) {
+        const magicBytes = audioBuffer.slice(0, 4).toString('utf8');
+        logger.info(`FLAC magic bytes: "${magicBytes}" (should be "fLaC")`);
+        if (magicBytes !== 'fLaC') {
+          logger.warn('Invalid FLAC file format - missing FLAC signature');
+        }
+      } else {
+        logger.warn('FLAC file too small - insufficient data');
+      }
+    }
+    
+    // Recognition is the first stage of the turn so an interrupt can cancel it too
+    turn = startTurn(connectionData);
+    
+    // Pass the language code from the current voice config and the mime type
+    const transcript = await turn.track('stt', withLogContext({ turnId: turn.id }, () => speechToText(
+      audioBuffer,
+      connectionData.voiceConfig.languageCode,
+      mimeType,
+      turn.signal,
+      (sttSeconds) => recordUsage(connectionData, { sttSeconds }, { provider: 'google-stt', model: 'default' })
+    )));
+    
+    if (turn.signal.aborted) {
+      logger.info(`Audio processing for ${connectionData.id} was cancelled`);
+    } else if (transcript) {
+      logger.info(`Transcribed audio from ${connectionData.id}: ${describeTranscript(transcript)}`);
+      
+      // Send transcript back to client
+      sendToClient(connectionData.ws, {
+        type: 'transcript',
+        text: transcript
+      });
+      
+      // Process the transcript in the same turn
+      await respondToUserMessage(connectionData, transcript, turn);
+    } else {
+      logger.error('Failed to transcribe audio - null transcript returned');
+      sendError(connectionData.ws, 'Could not transcribe audio');
+    }
+  } catch (error) {
+    logger.error('Error processing audio data:', error);
+    if (error.stack) {
+      logger.error('Stack trace:', error.stack);
+    }
+    sendError(connectionData.ws, 'Failed to process audio data');
+  } finally {
+    if (turn) {
+      finishTurn(connectionData, turn);
+    }
+  }
+}
+
+/**
+ * Get the billed audio duration of a recognition response in seconds
+ */
+function getBilledSeconds(response) {
+  const billedTime = response && response.totalBilledTime;
+  if (!billedTime) {
+    return 0;
+  }
+  return Number(String(billedTime.seconds || 0)) + (billedTime.nanos || 0) / 1e9;
+}
+
+/**
+ * Map the voice language code to the language used for speech recognition
+ */
+function getRecognitionLanguageCode(languageCode) {
+  let detectedLanguageCode = 'en-US'; // Default to US English
+  
+  if (languageCode) {
+    // If a Hindi voice is being used, set to Hindi
+    if (languageCode.startsWith('hi-')) {
+      detectedLanguageCode = 'hi-IN';
+      logger.info(`Hindi voice detected, using language code: ${detectedLanguageCode}`);
+    } 
+    // Use the provided language code as is for Indian English
+    else if (languageCode === 'en-IN') {
+      detectedLanguageCode = 'en-IN';
+      logger.info(`Indian English voice detected, using language code: ${detectedLanguageCode}`);
+    }
+    // Otherwise use the provided language code
+    else {
+      detectedLanguageCode = languageCode;
+      logger.info(`Using provided language code: ${detectedLanguageCode}`);
+    }
+  }
+  
+  return detectedLanguageCode;
+}
+
+/**
+ * Add alternative languages and speech contexts to a recognition config
+ */
+function applyRecognitionLanguageHints(config, detectedLanguageCode) {
+  // Add alternative language codes to help with mixed-language speech detection
+  // This allows the API to automatically switch between English and Hindi
+  if (detectedLanguageCode === 'hi-IN') {
+    // For Hindi primary, add English as alternative
+    config.alternativeLanguageCodes = ['en-US', 'en-IN'];
+    logger.info('Added English as alternative language for Hindi speech recognition');
+  } else if (detectedLanguageCode === 'en-IN' || detectedLanguageCode === 'en-US') {
+    // For English primary, add Hindi as alternative
+    config.alternativeLanguageCodes = ['hi-IN'];
+    logger.info('Added Hindi as alternative language for English speech recognition');
+  }
+  
+  // Add speech contexts to help with recognition
+  if (detectedLanguageCode === 'hi-IN' || detectedLanguageCode === 'en-IN') {
+    // Add common Indian English and Hindi phrases to help recognition
+    config.speechContexts = [
+      {
+        phrases: [
+          "hello", "hi", "namaste", "how are you", "kaise ho", "what are you doing",
+          "kya kar rahe ho", "thank you", "dhanyavaad", "plant", "garden", "water",
+          "fertilizer", "paudha", "bagichaa", "paani", "khaad"
+        ],
+        boost: 10
+      }
+    ];
+    logger.info('Added speech context with common phrases for better recognition');
+  }
+}
+
+/**
+ * Convert speech to text
+ * 
+ * onBilledSeconds is called with the audio duration billed for each recognition request.
+ */
+async function speechToText(audioBuffer, languageCode = DEFAULT_VOICE_CONFIG.languageCode, mimeType = 'audio/mp3', signal, onBilledSeconds = () => {}) {
+  try {
+    // Flag to track if WebM format is detected
+    let webmDetected = false;
+    
+    // Convert the audio buffer to a base64-encoded string
+    const audioBytes = audioBuffer.toString('base64');
     
     // Log the audio buffer size for debugging
     logger.info(`Audio buffer size: ${audioBuffer.length} bytes, mime type: ${mimeType}`);
     
-    // More detailed buffer inspection - log more bytes to better identify the format
-    const headerHex = audioBuffer.slice(0, 32).toString('hex');
-    logger.info(`Buffer header (32 bytes): ${headerHex}`);
+    // More detailed buffer inspection - log more bytes to better identify the format
+    const headerHex = audioBuffer.slice(0, 32).toString('hex');
+    logger.info(`Buffer header (32 bytes): ${headerHex}`);
+    
+    // Determine language code based on the provided voice language
+    const detectedLanguageCode = getRecognitionLanguageCode(languageCode);
+    
+    // Determine encoding based on mime type - only use supported formats
+    // SUPPORTED FORMATS: LINEAR16, FLAC, MULAW, AMR, AMR_WB, OGG_OPUS, SPEEX_WITH_HEADER_BYTE
+    let encoding = 'LINEAR16'; // Default to LINEAR16
+    let sampleRateHertz = 16000;
+    
+    // Check for WebM/EBML signature in the buffer first regardless of mime type
+    // WebM/EBML files start with 0x1A 0x45 0xDF 0xA3 (hex)
+    if (audioBuffer.length >= 4 && 
+        audioBuffer[0] === 0x1A && 
+        audioBuffer[1] === 0x45 && 
+        audioBuffer[2] === 0xDF && 
+        audioBuffer[3] === 0xA3) {
+      // WebM can contain different audio codecs (OPUS, Vorbis)
+      // Let's try different options if one doesn't work
+      encoding = 'OGG_OPUS';  // First try OPUS since it's most common in WebM
+      
+      // For WebM with OPUS, we need to let Google Speech API detect the sample rate
+      // This helps avoid the specific sample rate mismatch error
+      logger.info('WebM/EBML signature detected in buffer, using OGG_OPUS encoding with automatic sample rate detection');
+      sampleRateHertz = undefined;
+      
+      // WebM files often have 2 audio channels
+      webmDetected = true;
+    }
+    // Check FLAC signature (fLaC)
+    else if (audioBuffer.length >= 4 && 
+             audioBuffer[0] === 0x66 && // 'f'
+             audioBuffer[1] === 0x4C && // 'L'
+             audioBuffer[2] === 0x61 && // 'a'
+             audioBuffer[3] === 0x43) { // 'C'
+      encoding = 'FLAC';
+      logger.info('FLAC signature detected in buffer');
+      // Let Google detect the sample rate from the FLAC header
+      sampleRateHertz = undefined;
+    }
+    // Map MIME types to Google Speech API encoding values if no signature was detected
+    else if (mimeType) {
+      const lowercaseMimeType = mimeType.toLowerCase();
+      
+      if (lowercaseMimeType.includes('webm')) {
+        encoding = 'OGG_OPUS';  // WebM typically contains Opus audio
+        // For WebM, it's better to let Google detect the sample rate from the header
+        sampleRateHertz = undefined;
+        logger.info(`Using OGG_OPUS encoding with automatic sample rate detection for WebM`);
+        webmDetected = true;
+      }
+      else if (lowercaseMimeType.includes('flac')) {
+        encoding = 'FLAC';
+        
+        // Always set a sample rate for FLAC to avoid "bad sample rate hertz" error
+        // For chunked FLAC files that might not have proper headers
+        if (audioBuffer.length >= 4 && 
+            audioBuffer[0] === 0x66 && // 'f'
+            audioBuffer[1] === 0x4C && // 'L'
+            audioBuffer[2] === 0x61 && // 'a'
+            audioBuffer[3] === 0x43) { // 'C'
+          // If it has a valid signature, let Google detect the rate from the header
+          sampleRateHertz = undefined;
+          logger.info(`Using FLAC encoding with automatic sample rate detection`);
+        } else {
+          sampleRateHertz = 16000; // Default to 16kHz
+          logger.info(`Using FLAC encoding with explicit sample rate of ${sampleRateHertz}Hz because valid FLAC signature not found`);
+        }
+      }
+      else if (lowercaseMimeType.includes('mulaw')) {
+        encoding = 'MULAW';
+        logger.info(`Using MULAW encoding`);
+      }
+      else if (lowercaseMimeType.includes('amr_wb') || lowercaseMimeType.includes('amr-wb')) {
+        encoding = 'AMR_WB';
+        logger.info(`Using AMR_WB encoding`);
+      }
+      else if (lowercaseMimeType.includes('amr')) {
+        encoding = 'AMR';
+        logger.info(`Using AMR encoding`);
+      }
+      else if (lowercaseMimeType.includes('opus') || lowercaseMimeType.includes('ogg')) {
+        encoding = 'OGG_OPUS';
+        // For Opus/OGG, let Google detect the sample rate
+        sampleRateHertz = undefined;
+        logger.info(`Using OGG_OPUS encoding with automatic sample rate detection`);
+        // OGG/OPUS files may also have 2 channels
+        webmDetected = true;
+      }
+      else if (lowercaseMimeType.includes('speex')) {
+        encoding = 'SPEEX_WITH_HEADER_BYTE';
+        logger.info(`Using SPEEX_WITH_HEADER_BYTE encoding`);
+      }
+      else if (lowercaseMimeType.includes('wav') || lowercaseMimeType.includes('linear') || lowercaseMimeType.includes('l16')) {
+        encoding = 'LINEAR16';
+        // Extract sample rate if provided
+        const sampleRateMatch = mimeType.match(/rate=(\d+)/);
+        if (sampleRateMatch && sampleRateMatch[1]) {
+          sampleRateHertz = parseInt(sampleRateMatch[1], 10);
+        }
+        logger.info(`Using LINEAR16 encoding with sample rate ${sampleRateHertz}Hz`);
+      }
+      else {
+        // Check binary data for format detection - looking for WebM/EBML or FLAC signatures
+        if (audioBuffer.length >= 4) {
+          // Check for WebM/EBML
+          if (audioBuffer[0] === 0x1A && audioBuffer[1] === 0x45 && 
+              audioBuffer[2] === 0xDF && audioBuffer[3] === 0xA3) {
+            encoding = 'OGG_OPUS';
+            sampleRateHertz = undefined; // Let Google detect
+            logger.info(`WebM/EBML signature detected in file with mime type "${mimeType}", using OGG_OPUS encoding with automatic sample rate detection`);
+            webmDetected = true;
+          }
+          // Check for FLAC
+          else if (audioBuffer[0] === 0x66 && audioBuffer[1] === 0x4C && 
+                  audioBuffer[2] === 0x61 && audioBuffer[3] === 0x43) {
+            encoding = 'FLAC';
+            sampleRateHertz = undefined; // Let Google detect
+            logger.info(`FLAC signature detected in file with mime type "${mimeType}", using FLAC encoding with automatic sample rate detection`);
+          }
+          // For MP3, look for ID3 header or MP3 frame sync
+          else if ((audioBuffer[0] === 0x49 && audioBuffer[1] === 0x44 && 
+                   audioBuffer[2] === 0x33) || // "ID3"
+                   ((audioBuffer[0] & 0xFF) === 0xFF && (audioBuffer[1] & 0xE0) === 0xE0)) { // MP3 frame sync
+            // Google Speech doesn't support MP3 directly, so we default to LINEAR16
+            encoding = 'LINEAR16';
+            logger.info(`MP3 signature detected in file with mime type "${mimeType}", using LINEAR16 encoding`);
+          }
+          else {
+            // Unrecognized format
+            encoding = 'LINEAR16';
+            logger.info(`No known audio signature detected in "${mimeType}" file, defaulting to LINEAR16 encoding`);
+          }
+        } else {
+          // Buffer too small to detect
+          encoding = 'LINEAR16';
+          logger.info(`Buffer too small to detect format in "${mimeType}" file, defaulting to LINEAR16 encoding`);
+        }
+      }
+    }
+    
+    logger.info(`Speech recognition config: language=${detectedLanguageCode}, encoding=${encoding}, sample rate=${sampleRateHertz || 'auto'}`);
+    
+    // Create the request with correct parameter types
+    const request = {
+      audio: {
+        content: audioBytes,
+      },
+      config: {
+        encoding: encoding,
+        languageCode: detectedLanguageCode,
+        model: "latest_long", // Use the "latest_long" model for better quality, especially with OGG_OPUS
+        useEnhanced: true,
+        enableAutomaticPunctuation: true,
+        profanityFilter: false, // Allow all words to improve recognition
+        enableWordTimeOffsets: false,
+        enableWordConfidence: true,
+      },
+    };
+    
+    // Set audio channel count based on detected format
+    if (webmDetected) {
+      // For WebM, either leave unspecified or use 2 channels as detected in the header
+      logger.info('Using 2 audio channels for WebM/OPUS format');
+      request.config.audioChannelCount = 2;
+    } else {
+      // For other formats, assume mono
+      request.config.audioChannelCount = 1; // Assume mono for voice recording
+    }
+    
+    // Add alternative languages and phrase hints for mixed English/Hindi speech
+    applyRecognitionLanguageHints(request.config, detectedLanguageCode);
+    
+    // Only set sample rate if it's defined (needed for most formats but not for FLAC)
+    if (sampleRateHertz !== undefined) {
+      request.config.sampleRateHertz = sampleRateHertz;
+    }
+    
+    // Perform the speech recognition
+    logger.info('Sending request to Google Speech-to-Text API...');
+    const endRecognition = metrics.sttDuration.startTimer({ mode: 'batch' });
+    const [response] = await withCancellation(speechClient.recognize(request), signal);
+    endRecognition();
+    onBilledSeconds(getBilledSeconds(response));
+    
+    logger.debug(`Speech recognition returned ${response && response.results ? response.results.length : 0} results`);
+    
+    if (!response || !response.results || response.results.length === 0) {
+      logger.warn('Speech recognition returned no results');
+      
+      // If no results with OGG_OPUS encoding for WebM, try with a different encoding
+      if (webmDetected && encoding === 'OGG_OPUS' && !(signal && signal.aborted)) {
+        logger.info('Trying alternative approach for WebM: using LINEAR16 encoding...');
+        
+        // Update the request to use LINEAR16 encoding
+        request.config.encoding = 'LINEAR16';
+        request.config.sampleRateHertz = 16000; // Standard rate for LINEAR16
+        
+        try {
+          // Try recognition again with different encoding
+          const [alternativeResponse] = await withCancellation(speechClient.recognize(request), signal);
+          onBilledSeconds(getBilledSeconds(alternativeResponse));
+          logger.debug(`Alternative speech recognition returned ${alternativeResponse && alternativeResponse.results ? alternativeResponse.results.length : 0} results`);
+          
+          if (alternativeResponse && alternativeResponse.results && alternativeResponse.results.length > 0) {
+            // Get the transcription from the response
+            const alternativeTranscription = alternativeResponse.results
+              .map(result => result.alternatives[0].transcript)
+              .join('\n');
+            
+            logger.info(`Alternative speech recognition successful: ${describeTranscript(alternativeTranscription)}`);
+            return alternativeTranscription;
+          }
+        } catch (alternativeError) {
+          logger.error('Error in alternative speech recognition approach:', alternativeError);
+        }
+      }
+      
+      return null;
+    }
+    
+    // Detect actual language used in the recognition
+    let detectedActualLanguage = null;
+    if (response.results[0] && response.results[0].languageCode) {
+      detectedActualLanguage = response.results[0].languageCode;
+      logger.info(`Google detected actual speech language: ${detectedActualLanguage}`);
+    }
+    
+    // Get the transcription from the response
+    const transcription = response.results
+      .map(result => result.alternatives[0].transcript)
+      .join('\n');
+    
+    logger.info(`Speech recognition successful: ${describeTranscript(transcription)}`);
+    return transcription;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      logger.debug('Speech-to-text cancelled');
+      return null;
+    }
+    
+    logger.error('Error in speech-to-text:', error);
+    metrics.errors.inc({ stage: 'stt', class: classifyError(error) });
+    // Log more details about the error
+    if (error.details) {
+      logger.error('Error details:', error.details);
+    }
+    if (error.code) {
+      logger.error(`Error code: ${error.code}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Pick the streaming recognition encoding for a MIME type
+ * 
+ * Streaming recognition needs raw or containerised frames it can decode
+ * incrementally, so unlike batch recognition the format cannot be sniffed
+ * from a complete file and must come from the client's MIME type.
+ */
+function getStreamingAudioEncoding(mimeType) {
+  const lowercaseMimeType = (mimeType || '').toLowerCase();
+  
+  // Explicit sample rate, e.g. "audio/l16;rate=16000"
+  const sampleRateMatch = lowercaseMimeType.match(/rate=(\d+)/);
+  const sampleRateHertz = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : undefined;
+  
+  if (lowercaseMimeType.includes('webm')) {
+    return { encoding: 'WEBM_OPUS', sampleRateHertz: sampleRateHertz || 48000 };
+  }
+  if (lowercaseMimeType.includes('ogg') || lowercaseMimeType.includes('opus')) {
+    return { encoding: 'OGG_OPUS', sampleRateHertz: sampleRateHertz || 48000 };
+  }
+  if (lowercaseMimeType.includes('flac')) {
+    // FLAC carries its sample rate in the stream header
+    return { encoding: 'FLAC', sampleRateHertz };
+  }
+  if (lowercaseMimeType.includes('mulaw')) {
+    return { encoding: 'MULAW', sampleRateHertz: sampleRateHertz || 8000 };
+  }
+  if (lowercaseMimeType.includes('amr_wb') || lowercaseMimeType.includes('amr-wb')) {
+    return { encoding: 'AMR_WB', sampleRateHertz: 16000 };
+  }
+  if (lowercaseMimeType.includes('amr')) {
+    return { encoding: 'AMR', sampleRateHertz: 8000 };
+  }
+  
+  // Raw 16-bit PCM is the recommended format for streaming
+  return { encoding: 'LINEAR16', sampleRateHertz: sampleRateHertz || 16000 };
+}
+
+/**
+ * Open a streaming recognition request for a connection
+ * 
+ * Interim results are forwarded as interim_transcript events. When the
+ * recognizer marks an utterance final it is sent as final_transcript and the
+ * assistant turn starts right away. The recognizer runs as a turn of its own,
+ * so an interrupt (or closing the socket) stops it and none of its
+ * transcripts reach later turns.
+ */
+function startStreamingRecognition(connectionData, mimeType) {
+  const { ws } = connectionData;
+  const detectedLanguageCode = getRecognitionLanguageCode(connectionData.voiceConfig.languageCode);
+  const { encoding, sampleRateHertz } = getStreamingAudioEncoding(mimeType);
+  
+  const config = {
+    encoding,
+    languageCode: detectedLanguageCode,
+    model: 'latest_long',
+    useEnhanced: true,
+    enableAutomaticPunctuation: true,
+    profanityFilter: false, // Allow all words to improve recognition
+  };
+  
+  if (sampleRateHertz !== undefined) {
+    config.sampleRateHertz = sampleRateHertz;
+  }
+  
+  // Add alternative languages and phrase hints for mixed English/Hindi speech
+  applyRecognitionLanguageHints(config, detectedLanguageCode);
+  
+  logger.info(`Starting streaming recognition for ${connectionData.id}: language=${detectedLanguageCode}, encoding=${encoding}, sample rate=${sampleRateHertz || 'auto'}`);
+  
+  const recognizeStream = speechClient.streamingRecognize({
+    config,
+    interimResults: true,
+  });
+  
+  // Billed duration reported by the recognizer, or the stream's lifetime if it reports none
+  const startedAt = Date.now();
+  let billedSeconds = 0;
+  let isUsageRecorded = false;
+  const recordStreamUsage = () => {
+    if (!isUsageRecorded) {
+      isUsageRecorded = true;
+      recordUsage(
+        connectionData,
+        { sttSeconds: billedSeconds || (Date.now() - startedAt) / 1000 },
+        { provider: 'google-stt', model: config.model }
+      );
+    }
+  };
+  
+  // The recognizer is not part of any reply turn, so interrupting a reply leaves it
+  // listening; only cancelStreamingRecognition aborts it
+  const controller = new AbortController();
+  connectionData.openRecognizers.add(controller);
+  const closeRecognition = () => {
+    recordStreamUsage();
+    connectionData.openRecognizers.delete(controller);
+    if (connectionData.recognitionStream === recognizeStream) {
+      connectionData.recognitionStream = null;
+    }
+  };
+  
+  // Cancelling drops the stream instead of letting it finalise
+  controller.signal.addEventListener('abort', () => {
+    logger.info(`Streaming recognition for ${connectionData.id} cancelled`);
+    closeRecognition();
+    recognizeStream.destroy();
+  }, { once: true });
+  
+  // Recognizer events are bound to the connection's log context
+  recognizeStream.on('data', AsyncResource.bind((response) => {
+    if (controller.signal.aborted) {
+      return;
+    }
+    
+    billedSeconds = Math.max(billedSeconds, getBilledSeconds(response));
+    const result = response.results && response.results[0];
+    if (!result || !result.alternatives || !result.alternatives[0]) {
+      return;
+    }
+    
+    const transcript = result.alternatives[0].transcript.trim();
+    if (!transcript) {
+      return;
+    }
+    
+    if (!result.isFinal) {
+      sendToClient(ws, {
+        type: 'interim_transcript',
+        text: transcript,
+        stability: result.stability
+      });
+      return;
+    }
+    
+    logger.info(`Final streaming transcript from ${connectionData.id}: ${describeTranscript(transcript)}`);
+    
+    // How long the recognizer took to finalize after the latest audio
+    if (connectionData.lastStreamingAudioAt) {
+      metrics.sttDuration.observe({ mode: 'streaming' }, (Date.now() - connectionData.lastStreamingAudioAt) / 1000);
+    }
+    sendToClient(ws, {
+      type: 'final_transcript',
+      text: transcript,
+      languageCode: result.languageCode || detectedLanguageCode
+    });
+    
+    // The utterance is complete, answer it without waiting for more audio
+    queueSpeechReply(connectionData, transcript);
+  }));
+  
+  // The stream can emit several errors for one failure; report it once
+  let hasFailed = false;
+  recognizeStream.on('error', AsyncResource.bind((error) => {
+    if (hasFailed || controller.signal.aborted) {
+      return;
+    }
+    hasFailed = true;
+    closeRecognition();
+    
+    logger.error(`Streaming recognition error for ${connectionData.id}:`, error);
+    metrics.errors.inc({ stage: 'stt', class: classifyError(error) });
+    sendError(ws, 'Speech recognition failed');
+  }));
+  
+  recognizeStream.on('end', AsyncResource.bind(() => {
+    logger.debug(`Streaming recognition ended for ${connectionData.id}`);
+    closeRecognition();
+  }));
+  
+  connectionData.recognitionStream = recognizeStream;
+  return recognizeStream;
+}
+
+/**
+ * Answer a final streaming transcript once the previous spoken reply is done
+ * 
+ * Only one reply to streaming speech runs at a time, so replies never write
+ * to the conversation and the audio stream at once. Transcripts that arrive
+ * meanwhile are answered together in the next reply.
+ */
+function queueSpeechReply(connectionData, transcript) {
+  connectionData.pendingTranscripts.push(transcript);
+  if (connectionData.isAnsweringSpeech) {
+    return;
+  }
+  
+  connectionData.isAnsweringSpeech = true;
+  (async () => {
+    while (connectionData.pendingTranscripts.length > 0 && connectionData.ws.readyState === WebSocket.OPEN) {
+      const userMessage = connectionData.pendingTranscripts.splice(0).join(' ');
+      try {
+        await respondToUserMessage(connectionData, userMessage);
+      } catch (error) {
+        logger.error('Error responding to streaming transcript:', error);
+        sendError(connectionData.ws, 'Failed to process message');
+      }
+    }
+    connectionData.pendingTranscripts = [];
+    connectionData.isAnsweringSpeech = false;
+  })();
+}
+
+/**
+ * Feed an audio chunk into the connection's streaming recognizer
+ */
+function handleStreamingAudio(connectionData, audioBuffer, mimeType, isLastChunk) {
+  // Open a new recognition stream for the first chunk of an utterance
+  const recognizeStream = connectionData.recognitionStream || startStreamingRecognition(connectionData, mimeType);
+  
+  if (audioBuffer && audioBuffer.length > 0) {
+    recognizeStream.write(audioBuffer);
+    connectionData.lastStreamingAudioAt = Date.now();
+  }
+  
+  // Ending the stream makes the recognizer finalise whatever it has heard
+  if (isLastChunk) {
+    stopStreamingRecognition(connectionData);
+  }
+}
+
+/**
+ * Abort the connection's streaming recognizers, dropping transcripts they have
+ * not finalised yet
+ * 
+ * Returns true if a recognizer was still running.
+ */
+function cancelStreamingRecognition(connectionData) {
+  const hadRecognizers = connectionData.openRecognizers.size > 0;
+  for (const controller of connectionData.openRecognizers) {
+    controller.abort();
+  }
+  connectionData.pendingTranscripts = [];
+  return hadRecognizers;
+}
+
+/**
+ * Close the connection's streaming recognizer, if one is open
+ */
+function stopStreamingRecognition(connectionData) {
+  if (connectionData.recognitionStream) {
+    connectionData.recognitionStream.end();
+    connectionData.recognitionStream = null;
+  }
+}
+
+// Version byte of the binary audio frame header
+const AUDIO_FRAME_VERSION = 1;
+
+// Flag bit set on the last frame of an audio stream
+const AUDIO_FRAME_FLAG_FINAL = 0x01;
+
+/**
+ * Encode audio into a binary WebSocket frame
+ * 
+ * Header layout (big-endian):
+ *   byte 0       version
+ *   byte 1       flags (bit 0 = last frame of the stream)
+ *   bytes 2-5    stream id
+ *   bytes 6-9    sequence number
+ *   byte 10      MIME type length N
+ *   bytes 11..   MIME type (N bytes, ASCII), followed by the audio bytes
+ */
+function encodeAudioFrame({ streamId, sequence, mimeType, final, payload }) {
+  const mimeTypeBytes = Buffer.from(mimeType || '', 'ascii');
+  const header = Buffer.alloc(11 + mimeTypeBytes.length);
+  
+  header.writeUInt8(AUDIO_FRAME_VERSION, 0);
+  header.writeUInt8(final ? AUDIO_FRAME_FLAG_FINAL : 0, 1);
+  header.writeUInt32BE(streamId >>> 0, 2);
+  header.writeUInt32BE(sequence >>> 0, 6);
+  header.writeUInt8(mimeTypeBytes.length, 10);
+  mimeTypeBytes.copy(header, 11);
+  
+  return payload ? Buffer.concat([header, payload]) : header;
+}
+
+/**
+ * Decode a binary WebSocket frame, returns null if the frame is malformed
+ */
+function decodeAudioFrame(frame) {
+  if (!Buffer.isBuffer(frame) || frame.length < 11 || frame.readUInt8(0) !== AUDIO_FRAME_VERSION) {
+    return null;
+  }
+  
+  const mimeTypeLength = frame.readUInt8(10);
+  if (frame.length < 11 + mimeTypeLength) {
+    return null;
+  }
+  
+  return {
+    final: (frame.readUInt8(1) & AUDIO_FRAME_FLAG_FINAL) !== 0,
+    streamId: frame.readUInt32BE(2),
+    sequence: frame.readUInt32BE(6),
+    mimeType: frame.toString('ascii', 11, 11 + mimeTypeLength),
+    payload: frame.subarray(11 + mimeTypeLength)
+  };
+}
+
+/**
+ * Turn a binary frame from the client into an audio_data message
+ * 
+ * Returns null if binary audio was not negotiated or the frame is malformed.
+ */
+function parseBinaryAudioMessage(connectionData, message) {
+  if (!connectionData.binaryAudio) {
+    return null;
+  }
+  
+  const frame = decodeAudioFrame(Buffer.isBuffer(message) ? message : Buffer.concat(message));
+  if (!frame) {
+    return null;
+  }
+  
+  return {
+    type: 'audio_data',
+    format: 'binary',
+    audio: frame.payload,
+    mimeType: frame.mimeType || undefined,
+    isChunk: true,
+    chunkNumber: frame.sequence,
+    isLastChunk: frame.final,
+    streamId: frame.streamId
+  };
+}
+
+/**
+ * Get the raw bytes of an audio payload (binary frame or base64 string)
+ */
+function decodeAudioPayload(audio) {
+  return Buffer.isBuffer(audio) ? audio : Buffer.from(audio, 'base64');
+}
+
+/**
+ * Combine stored audio chunks into one buffer
+ */
+function combineAudioChunks(chunks) {
+  // Base64 chunks are joined before decoding so they need not be split on 4-character boundaries
+  if (chunks.every(chunk => typeof chunk === 'string')) {
+    return Buffer.from(chunks.join(''), 'base64');
+  }
+  
+  return Buffer.concat(chunks.map(decodeAudioPayload));
+}
+
+/**
+ * Attach a WebSocket connection to a session, loading its stored state
+ * 
+ * Returns true if an existing session was found. An unknown (or expired)
+ * id starts a new, empty session under that id so the client can keep
+ * using it across reconnects and the REST API. Sessions of a user the
+ * connection may not act for are not attached.
+ */
+async function attachSession(connectionData, sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    sendError(connectionData.ws, 'Invalid session id');
+    return false;
+  }
+  
+  const state = await sessionStore.get(sessionId);
+  if (state && !mayUseSession(connectionData.apiKey, state)) {
+    sendError(connectionData.ws, 'Session belongs to another API key');
+    return false;
+  }
+  if (state && state.userId && !mayActAsUser(connectionData, state.userId)) {
+    sendError(connectionData.ws, 'Session belongs to another user');
+    return false;
+  }
+  
+  // Each connection keeps its own copy of the session and saves it after every turn,
+  // so a session is only open on one connection and never switched under a running turn
+  const holder = findSessionConnection(sessionId);
+  if (holder && holder !== connectionData) {
+    sendError(connectionData.ws, 'Session is open on another connection');
+    return false;
+  }
+  if (connectionData.activeTurns.size > 0) {
+    sendError(connectionData.ws, 'Cannot switch sessions while a reply is in progress, interrupt it first');
+    return false;
+  }
+  
+  connectionData.id = sessionId;
+  setLogContext({ sessionId });
+  
+  if (!state) {
+    connectionData.ownerKeyId = connectionData.apiKey.id;
+    connectionData.conversationContext = [];
+    connectionData.conversationSummary = '';
+    connectionData.pinnedFacts = null;
+    logger.info(`Connection ${connectionData.connectionId} started new session ${sessionId}`);
+    return false;
+  }
+  
+  Object.assign(connectionData, state);
+  connectionData.ownerKeyId = state.ownerKeyId || connectionData.apiKey.id;
+  logger.info(`Connection ${connectionData.connectionId} resumed session ${sessionId} (${state.conversationContext.length} messages)`);
+  return true;
+}
+
+/**
+ * Find the open WebSocket connection a session is attached to, if any
+ */
+function findSessionConnection(sessionId) {
+  for (const connectionData of activeConnections.values()) {
+    if (connectionData.id === sessionId) {
+      return connectionData;
+    }
+  }
+  return null;
+}
+
+/**
+ * Link a WebSocket session to a user so their plant collection is used as context
+ */
+function setSessionUser(connectionData, userId) {
+  if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+    sendError(connectionData.ws, 'Invalid user id');
+    return;
+  }
+  if (!mayActAsUser(connectionData, userId)) {
+    sendError(connectionData.ws, 'API key may not act for this user');
+    return;
+  }
+  
+  connectionData.userId = userId;
+  logger.info(`Session ${connectionData.id} linked to user ${userId}`);
+}
+
+/**
+ * Check whether a WebSocket connection may use a user's plants and sessions
+ * 
+ * A connection bound to a user (by its ticket or key) only acts for that user.
+ */
+function mayActAsUser(connectionData, userId) {
+  const boundUserId = connectionData.ticketBinding.userId;
+  return boundUserId ? boundUserId === userId : canActAsUser(connectionData.apiKey, userId);
+}
+
+/**
+ * Close the open WebSocket connections of a revoked API key
+ */
+function closeKeyConnections(keyId) {
+  for (const connectionData of activeConnections.values()) {
+    if (connectionData.apiKey.id === keyId) {
+      logger.info(`Closing connection ${connectionData.connectionId} of revoked API key ${keyId}`);
+      sendError(connectionData.ws, 'API key revoked');
+      connectionData.ws.close(1008, 'API key revoked');
+    }
+  }
+}
+
+/**
+ * Apply a changed API key to its open WebSocket connections
+ * 
+ * keyIdentity is the key's current identity, or null if it is no longer
+ * active. Connections are closed when the key was disabled, lost the chat
+ * scope or may no longer act for the connection's user (or was bound to
+ * another user); otherwise they get the new scopes and limits, and audio is
+ * turned off if the voice scope was removed.
+ */
+function refreshKeyConnections(keyId, keyIdentity) {
+  if (!keyIdentity) {
+    closeKeyConnections(keyId);
+    return;
+  }
+  
+  for (const connectionData of activeConnections.values()) {
+    if (connectionData.apiKey.id !== keyId) {
+      continue;
+    }
+    
+    const { ticketBinding, userId } = connectionData;
+    const isUserChanged = (keyIdentity.userId || null) !== (connectionData.apiKey.userId || null) ||
+      (ticketBinding.userId && !canActAsUser(keyIdentity, ticketBinding.userId)) ||
+      (userId && !canActAsUser(keyIdentity, userId));
+    
+    if (!hasScope(keyIdentity, 'chat') || isUserChanged) {
+      logger.info(`Closing connection ${connectionData.connectionId} of changed API key ${keyId}`);
+      sendError(connectionData.ws, 'API key changed');
+      connectionData.ws.close(1008, 'API key changed');
+      continue;
+    }
+    
+    connectionData.apiKey = keyIdentity;
+    if (connectionData.audioSession && !hasScope(keyIdentity, 'voice')) {
+      connectionData.audioSession = false;
+      stopStreamingRecognition(connectionData);
+      sendError(connectionData.ws, 'API key no longer allows audio, the session is text-only now');
+    }
+  }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE
+ */
+function createSessionStore() {
+  const options = { ttlMs: SESSION_TTL_MS, maxSessions: SESSION_MAX_COUNT };
+  
+  if (SESSION_STORE === 'file') {
+    logger.info(`Using file session store at ${SESSION_STORE_PATH}`);
+    return createFileSessionStore({ ...options, filePath: SESSION_STORE_PATH });
+  }
+  
+  if (SESSION_STORE !== 'memory') {
+    logger.warn(`Unknown SESSION_STORE "${SESSION_STORE}", using in-memory session store`);
+  }
+  return createMemorySessionStore(options);
+}
+
+/**
+ * Copy the persisted fields of a session (or WebSocket connection)
+ */
+function pickSessionState(session) {
+  const state = {};
+  for (const field of PERSISTED_SESSION_FIELDS) {
+    if (session[field] !== undefined) {
+      state[field] = session[field];
+    }
+  }
+  
+  // Deep copy so later changes to the live session do not leak into the store
+  return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Create a session store that keeps sessions in memory
+ * 
+ * All stores share this interface (every method returns a promise):
+ *   get(id)        session state, or null if unknown or expired
+ *   save(session)  store the persisted fields of a session
+ *   delete(id)     remove a session
+ *   sweep()        evict sessions idle for longer than ttlMs
+ *   flush()        write pending changes to durable storage
+ * 
+ * Sessions expire after ttlMs without activity. When more than maxSessions
+ * are stored the least recently used ones are evicted.
+ * onChange is called after every modification (used by persistent stores).
+ */
+function createMemorySessionStore({ ttlMs, maxSessions, initialSessions = [], onChange = () => {} }) {
+  // Map iteration order is insertion order, re-inserting on access keeps it in LRU order
+  const sessions = new Map();
+  for (const state of initialSessions) {
+    sessions.set(state.id, state);
+  }
+  
+  const isExpired = (state) => Date.now() - state.lastActiveAt > ttlMs;
+  
+  return {
+    async get(id) {
+      const state = sessions.get(id);
+      if (!state) {
+        return null;
+      }
+      
+      if (isExpired(state)) {
+        sessions.delete(id);
+        onChange(sessions);
+        return null;
+      }
+      
+      return JSON.parse(JSON.stringify(state));
+    },
     
-    // Determine language code based on the provided voice language
-    let detectedLanguageCode = 'en-US'; // Default to US English
-    
-    if (languageCode) {
-      // If a Hindi voice is being used, set to Hindi
-      if (languageCode.startsWith('hi-')) {
-        detectedLanguageCode = 'hi-IN';
-        logger.info(`Hindi voice detected, using language code: ${detectedLanguageCode}`);
-      } 
-      // Use the provided language code as is for Indian English
-      else if (languageCode === 'en-IN') {
-        detectedLanguageCode = 'en-IN';
-        logger.info(`Indian English voice detected, using language code: ${detectedLanguageCode}`);
-      }
-      // Otherwise use the provided language code
-      else {
-        detectedLanguageCode = languageCode;
-        logger.info(`Using provided language code: ${detectedLanguageCode}`);
+    async save(session) {
+      const state = {
+        ...pickSessionState(session),
+        createdAt: session.createdAt || Date.now(),
+        lastActiveAt: Date.now()
+      };
+      
+      sessions.delete(state.id);
+      sessions.set(state.id, state);
+      
+      // Evict least recently used sessions over the limit
+      while (sessions.size > maxSessions) {
+        const oldestId = sessions.keys().next().value;
+        sessions.delete(oldestId);
+        logger.info(`Evicted session ${oldestId} - session limit of ${maxSessions} reached`);
+      }
+      
+      onChange(sessions);
+    },
+    
+    async delete(id) {
+      if (sessions.delete(id)) {
+        onChange(sessions);
+      }
+    },
+    
+    async sweep() {
+      let evicted = 0;
+      for (const [id, state] of sessions) {
+        if (isExpired(state)) {
+          sessions.delete(id);
+          evicted++;
+        }
+      }
+      
+      if (evicted > 0) {
+        logger.info(`Evicted ${evicted} expired sessions`);
+        onChange(sessions);
+      }
+    },
+    
+    async flush() {}
+  };
+}
+
+/**
+ * Create a session store persisted to a JSON file
+ * 
+ * Sessions are served from memory and written to disk shortly after each
+ * change (atomically, through a temporary file), so they survive restarts
+ * and redeploys as long as the file is on a persistent volume.
+ */
+function createFileSessionStore({ filePath, ttlMs, maxSessions }) {
+  let initialSessions = [];
+  try {
+    if (fs.existsSync(filePath)) {
+      initialSessions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      logger.info(`Loaded ${initialSessions.length} sessions from ${filePath}`);
+    }
+  } catch (error) {
+    logger.error(`Error loading sessions from ${filePath}, starting with an empty store:`, error);
+  }
+  
+  const writer = createJsonFileWriter(filePath, 'sessions');
+  const store = createMemorySessionStore({
+    ttlMs,
+    maxSessions,
+    initialSessions,
+    onChange: (sessions) => writer.schedule(() => [...sessions.values()])
+  });
+  
+  return {
+    ...store,
+    flush: writer.flush
+  };
+}
+
+/**
+ * Create a debounced, atomic writer for a JSON file
+ * 
+ * schedule(getData) batches bursts of changes into one write about a second
+ * later; getData is called at write time. Files are written through a
+ * temporary file and renamed so a crash never leaves a half-written file.
+ */
+function createJsonFileWriter(filePath, description) {
+  let getLatestData = null;
+  let writeTimer = null;
+  let writePromise = Promise.resolve();
+  
+  const writeToDisk = () => {
+    writeTimer = null;
+    if (!getLatestData) {
+      return writePromise;
+    }
+    
+    const data = JSON.stringify(getLatestData());
+    getLatestData = null;
+    
+    const tempPath = `${filePath}.tmp`;
+    writePromise = writePromise
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, filePath);
+      })
+      .catch(error => logger.error(`Error writing ${description} to ${filePath}:`, error));
+    return writePromise;
+  };
+  
+  return {
+    schedule(getData) {
+      getLatestData = getData;
+      if (!writeTimer) {
+        writeTimer = setTimeout(writeToDisk, 1000);
+      }
+    },
+    
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+      }
+      await writeToDisk();
+    }
+  };
+}
+
+/**
+ * Create the user profile store selected by USER_STORE
+ */
+function createUserStore() {
+  if (USER_STORE === 'file') {
+    logger.info(`Using file user store at ${USER_STORE_PATH}`);
+    return createFileUserStore(USER_STORE_PATH);
+  }
+  
+  if (USER_STORE !== 'memory') {
+    logger.warn(`Unknown USER_STORE "${USER_STORE}", using in-memory user store`);
+  }
+  return createMemoryUserStore();
+}
+
+/**
+ * Create a user profile store that keeps plant collections in memory
+ * 
+ * All stores share this interface (every method returns a promise):
+ *   listPlants(userId)                   the user's plants (empty if unknown user)
+ *   getPlant(userId, plantId)            a plant, or null
+ *   addPlant(userId, fields)             the created plant
+ *   updatePlant(userId, plantId, fields) the updated plant, or null
+ *   deletePlant(userId, plantId)         true if the plant existed
+ *   flush()                              write pending changes to durable storage
+ */
+function createMemoryUserStore({ initialUsers = [], onChange = () => {} } = {}) {
+  const users = new Map();
+  for (const user of initialUsers) {
+    users.set(user.id, user);
+  }
+  
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  
+  return {
+    async listPlants(userId) {
+      const user = users.get(userId);
+      return user ? copy(user.plants) : [];
+    },
+    
+    async getPlant(userId, plantId) {
+      const user = users.get(userId);
+      const plant = user && user.plants.find(candidate => candidate.id === plantId);
+      return plant ? copy(plant) : null;
+    },
+    
+    async addPlant(userId, fields) {
+      let user = users.get(userId);
+      if (!user) {
+        user = { id: userId, plants: [], createdAt: Date.now() };
+        users.set(userId, user);
+      }
+      
+      const now = Date.now();
+      const plant = { id: uuidv4(), ...fields, createdAt: now, updatedAt: now };
+      user.plants.push(plant);
+      onChange(users);
+      return copy(plant);
+    },
+    
+    async updatePlant(userId, plantId, fields) {
+      const user = users.get(userId);
+      const plant = user && user.plants.find(candidate => candidate.id === plantId);
+      if (!plant) {
+        return null;
+      }
+      
+      Object.assign(plant, fields, { updatedAt: Date.now() });
+      onChange(users);
+      return copy(plant);
+    },
+    
+    async deletePlant(userId, plantId) {
+      const user = users.get(userId);
+      const index = user ? user.plants.findIndex(candidate => candidate.id === plantId) : -1;
+      if (index === -1) {
+        return false;
+      }
+      
+      user.plants.splice(index, 1);
+      onChange(users);
+      return true;
+    },
+    
+    async flush() {}
+  };
+}
+
+/**
+ * Create a user profile store persisted to a JSON file
+ */
+function createFileUserStore(filePath) {
+  let initialUsers = [];
+  try {
+    if (fs.existsSync(filePath)) {
+      initialUsers = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      logger.info(`Loaded ${initialUsers.length} user profiles from ${filePath}`);
+    }
+  } catch (error) {
+    logger.error(`Error loading user profiles from ${filePath}, starting with an empty store:`, error);
+  }
+  
+  const writer = createJsonFileWriter(filePath, 'user profiles');
+  const store = createMemoryUserStore({
+    initialUsers,
+    onChange: (users) => writer.schedule(() => [...users.values()])
+  });
+  
+  return {
+    ...store,
+    flush: writer.flush
+  };
+}
+
+/**
+ * Validate plant fields from a request body
+ * 
+ * Returns { fields } with the normalized values, or { error }. With
+ * partial set (updates) every field is optional; otherwise species is required.
+ */
+function parsePlantFields(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+  
+  const fields = {};
+  
+  for (const name of ['species', 'nickname']) {
+    if (body[name] === undefined) {
+      continue;
+    }
+    if (typeof body[name] !== 'string' || !body[name].trim()) {
+      return { error: `${name} must be a non-empty string` };
+    }
+    fields[name] = body[name].trim();
+  }
+  
+  if (!partial && !fields.species) {
+    return { error: 'species is required' };
+  }
+  
+  if (body.location !== undefined) {
+    if (!PLANT_LOCATIONS.includes(body.location)) {
+      return { error: `location must be one of: ${PLANT_LOCATIONS.join(', ')}` };
+    }
+    fields.location = body.location;
+  }
+  
+  if (body.potSizeCm !== undefined) {
+    if (typeof body.potSizeCm !== 'number' || !(body.potSizeCm > 0)) {
+      return { error: 'potSizeCm must be a positive number' };
+    }
+    fields.potSizeCm = body.potSizeCm;
+  }
+  
+  for (const name of ['lastWatered', 'lastFertilized']) {
+    if (body[name] === undefined) {
+      continue;
+    }
+    if (body[name] === null) {
+      fields[name] = null;
+      continue;
+    }
+    const timestamp = Date.parse(body[name]);
+    if (typeof body[name] !== 'string' || Number.isNaN(timestamp)) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    fields[name] = new Date(timestamp).toISOString();
+  }
+  
+  return { fields };
+}
+
+/**
+ * Create the API key store persisted to a JSON file
+ * 
+ * Only a SHA-256 hash of each key is kept, with a short prefix to tell keys
+ * apart. API_SECRET_KEY, when set, keeps working as a built-in key with every
+ * scope so existing deployments and the first admin call need no setup.
+ * 
+ * Every method returns a promise:
+ *   authenticate(rawKey)  the key identity { id, name, scopes, limits, userId },
+ *                         or null if the key is unknown, disabled or expired
+ *   getIdentity(id)       the current identity of an active key, or null
+ *   list()                all keys (without hashes)
+ *   create(fields)        { key, record }; the raw key is not stored
+ *   update(id, fields)    the updated key, or null
+ *   delete(id)            true if the key existed
+ *   flush()               write pending changes to disk
+ */
+function createApiKeyStore(filePath) {
+  const keys = new Map();
+  try {
+    if (fs.existsSync(filePath)) {
+      for (const record of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+        keys.set(record.id, record);
+      }
+      logger.info(`Loaded ${keys.size} API keys from ${filePath}`);
+    }
+  } catch (error) {
+    logger.error(`Error loading API keys from ${filePath}, starting with an empty store:`, error);
+  }
+  
+  const writer = createJsonFileWriter(filePath, 'API keys');
+  const save = () => writer.schedule(() => [...keys.values()]);
+  const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest();
+  const toPublic = ({ hash, ...record }) => JSON.parse(JSON.stringify(record));
+  
+  const isUsable = (record) => Boolean(record && !record.disabled &&
+    !(record.expiresAt && Date.parse(record.expiresAt) <= Date.now()));
+  
+  const legacyKey = config.API_SECRET_KEY;
+  const legacyHash = legacyKey ? hashKey(legacyKey) : null;
+  const legacyIdentity = () => ({ id: 'legacy', name: 'API_SECRET_KEY', scopes: [...API_KEY_SCOPES], limits: {}, userId: null });
+  
+  return {
+    async authenticate(rawKey) {
+      const hash = hashKey(String(rawKey));
+      if (legacyHash && crypto.timingSafeEqual(hash, legacyHash)) {
+        return legacyIdentity();
+      }
+      
+      const hexHash = hash.toString('hex');
+      const record = [...keys.values()].find(candidate => candidate.hash === hexHash);
+      if (!isUsable(record)) {
+        return null;
+      }
+      
+      record.lastUsedAt = new Date().toISOString();
+      save();
+      return toKeyIdentity(record);
+    },
+    
+    async getIdentity(id) {
+      if (id === 'legacy') {
+        return legacyHash ? legacyIdentity() : null;
+      }
+      const record = keys.get(id);
+      return isUsable(record) ? toKeyIdentity(record) : null;
+    },
+    
+    async list() {
+      return [...keys.values()].map(toPublic);
+    },
+    
+    async create({ name, scopes, expiresAt = null, disabled = false, limits = {}, userId = null }) {
+      const key = `gk_${crypto.randomBytes(24).toString('base64url')}`;
+      const record = {
+        id: uuidv4(),
+        name,
+        prefix: key.slice(0, 10),
+        hash: hashKey(key).toString('hex'),
+        scopes,
+        limits,
+        userId,
+        expiresAt,
+        disabled,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      };
+      keys.set(record.id, record);
+      save();
+      return { key, record: toPublic(record) };
+    },
+    
+    async update(id, fields) {
+      const record = keys.get(id);
+      if (!record) {
+        return null;
+      }
+      
+      Object.assign(record, fields);
+      save();
+      return toPublic(record);
+    },
+    
+    async delete(id) {
+      const deleted = keys.delete(id);
+      if (deleted) {
+        save();
+      }
+      return deleted;
+    },
+    
+    flush: writer.flush
+  };
+}
+
+/**
+ * Get the API key sent as X-API-Key or Authorization: Bearer, if any
+ */
+function getHeaderApiKey(headers) {
+  if (headers['x-api-key']) {
+    return headers['x-api-key'];
+  }
+  
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Reduce an API key record to the identity attached to requests and sessions
+ */
+function toKeyIdentity(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: [...record.scopes],
+    limits: { ...record.limits },
+    userId: record.userId || null
+  };
+}
+
+/**
+ * Check whether an authenticated API key has a scope
+ */
+function hasScope(keyIdentity, scope) {
+  return Boolean(keyIdentity && keyIdentity.scopes.includes(scope));
+}
+
+/**
+ * Check whether an API key may resume a stored session
+ * 
+ * A session belongs to the key that created it, and admin keys may use any
+ * session. Sessions stored before owners were recorded go to the next key
+ * that uses them.
+ */
+function mayUseSession(keyIdentity, session) {
+  return hasScope(keyIdentity, 'admin') || !session.ownerKeyId || session.ownerKeyId === keyIdentity.id;
+}
+
+/**
+ * Check whether an API key may read and change a user's plants and sessions
+ * 
+ * Keys with the any-user scope act for everyone; other keys only for the
+ * user they are bound to.
+ */
+function canActAsUser(keyIdentity, userId) {
+  return hasScope(keyIdentity, 'any-user') || Boolean(keyIdentity && keyIdentity.userId && keyIdentity.userId === userId);
+}
+
+/**
+ * Issue a signed WebSocket connection ticket for an authenticated key
+ * 
+ * The ticket is base64url JSON (key id, optional user and session binding,
+ * expiry and a random id) followed by an HMAC-SHA256 signature.
+ */
+function createWsTicket(keyIdentity, { userId, sessionId } = {}) {
+  const expiresAt = Date.now() + WS_TICKET_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({
+    jti: uuidv4(),
+    keyId: keyIdentity.id,
+    userId,
+    sessionId,
+    exp: expiresAt
+  })).toString('base64url');
+  
+  return { ticket: `${payload}.${signWsTicket(payload)}`, expiresAt };
+}
+
+/**
+ * Verify and consume a WebSocket connection ticket
+ * 
+ * Returns { keyId, binding } or null if the ticket is malformed, forged,
+ * expired or was already used on this instance.
+ */
+function redeemWsTicket(ticket) {
+  const [payload, signature, extra] = ticket.split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+  
+  const expected = Buffer.from(signWsTicket(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  
+  const now = Date.now();
+  for (const [jti, expiresAt] of redeemedWsTickets) {
+    if (expiresAt <= now) {
+      redeemedWsTickets.delete(jti);
+    }
+  }
+  
+  if (!(claims.exp > now) || redeemedWsTickets.has(claims.jti)) {
+    return null;
+  }
+  redeemedWsTickets.set(claims.jti, claims.exp);
+  
+  return {
+    keyId: claims.keyId,
+    binding: { userId: claims.userId, sessionId: claims.sessionId }
+  };
+}
+
+/**
+ * Sign the payload part of a WebSocket ticket
+ */
+function signWsTicket(payload) {
+  return crypto.createHmac('sha256', WS_TICKET_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create the Prometheus metrics of the service in a registry
+ */
+function createMetrics(register) {
+  // Latency buckets in seconds; model and speech calls take longer than time to first token
+  const callBuckets = [0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30];
+  const firstTokenBuckets = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+  
+  return {
+    activeConnections: new promClient.Gauge({
+      name: 'greenur_websocket_connections',
+      help: 'Open WebSocket connections',
+      registers: [register],
+      collect() {
+        this.set(activeConnections.size);
+      }
+    }),
+    
+    turns: new promClient.Counter({
+      name: 'greenur_turns_total',
+      help: 'Assistant turns by the provider and model that answered and outcome (ok, failed, refused, interrupted)',
+      labelNames: ['provider', 'model', 'outcome'],
+      registers: [register]
+    }),
+    
+    sttDuration: new promClient.Histogram({
+      name: 'greenur_stt_duration_seconds',
+      help: 'Speech recognition latency: the recognize call (batch) or the time from the latest audio to the final transcript (streaming)',
+      labelNames: ['mode'],
+      buckets: callBuckets,
+      registers: [register]
+    }),
+    
+    llmTimeToFirstToken: new promClient.Histogram({
+      name: 'greenur_llm_time_to_first_token_seconds',
+      help: 'Time from sending a model request to its first text delta',
+      labelNames: ['provider', 'model'],
+      buckets: firstTokenBuckets,
+      registers: [register]
+    }),
+    
+    llmDuration: new promClient.Histogram({
+      name: 'greenur_llm_duration_seconds',
+      help: 'Time to generate a complete model response',
+      labelNames: ['provider', 'model'],
+      buckets: callBuckets,
+      registers: [register]
+    }),
+    
+    ttsDuration: new promClient.Histogram({
+      name: 'greenur_tts_duration_seconds',
+      help: 'Time to synthesize one speech segment',
+      buckets: callBuckets,
+      registers: [register]
+    }),
+    
+    errors: new promClient.Counter({
+      name: 'greenur_errors_total',
+      help: 'Errors by stage (stt, llm, tts, tool) and error class',
+      labelNames: ['stage', 'class'],
+      registers: [register]
+    })
+  };
+}
+
+/**
+ * Classify an error for metrics: http_<status> for HTTP APIs, grpc_<code>
+ * for Google APIs, otherwise the error name (e.g. APIConnectionError)
+ */
+function classifyError(error) {
+  if (typeof error.status === 'number') {
+    return `http_${error.status}`;
+  }
+  if (typeof error.code === 'number') {
+    return `grpc_${error.code}`;
+  }
+  return error.name || 'Error';
+}
+
+/**
+ * Count a finished assistant turn
+ */
+function recordTurnMetrics(result, interrupted = false) {
+  let outcome = 'ok';
+  if (interrupted) {
+    outcome = 'interrupted';
+  } else if (result.failed) {
+    outcome = 'failed';
+  } else if (result.guardrail) {
+    outcome = 'refused';
+  }
+  
+  metrics.turns.inc({
+    provider: result.model ? result.model.type : 'none',
+    model: result.model ? result.model.id : 'none',
+    outcome
+  });
+}
+
+/**
+ * Create the in-memory counters behind rate limits and quotas
+ * 
+ * hit(subject) counts a request in the subject's current one-minute window
+ * and returns { count, resetAt }. add(subject, metric, amount) and
+ * used(subject, metric) track usage per UTC day. Counters are kept per
+ * process and start over on restart.
+ */
+function createRateLimiter() {
+  const windows = new Map();
+  const daily = new Map();
+  const today = () => new Date().toISOString().slice(0, 10);
+  
+  // Forget finished windows and previous days once a minute
+  setInterval(() => {
+    const now = Date.now();
+    const day = today();
+    for (const [subject, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(subject);
+      }
+    }
+    for (const [subject, usage] of daily) {
+      if (usage.day !== day) {
+        daily.delete(subject);
+      }
+    }
+  }, 60 * 1000).unref();
+  
+  return {
+    hit(subject) {
+      const now = Date.now();
+      let window = windows.get(subject);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + 60 * 1000 };
+        windows.set(subject, window);
       }
-    }
+      window.count++;
+      return { ...window };
+    },
     
-    // Determine encoding based on mime type - only use supported formats
-    // SUPPORTED FORMATS: LINEAR16, FLAC, MULAW, AMR, AMR_WB, OGG_OPUS, SPEEX_WITH_HEADER_BYTE
-    let encoding = 'LINEAR16'; // Default to LINEAR16
-    let sampleRateHertz = 16000;
+    used(subject, metric) {
+      const usage = daily.get(subject);
+      return usage && usage.day === today() ? usage[metric] || 0 : 0;
+    },
     
-    // Check for WebM/EBML signature in the buffer first regardless of mime type
-    // WebM/EBML files start with 0x1A 0x45 0xDF 0xA3 (hex)
-    if (audioBuffer.length >= 4 && 
-        audioBuffer[0] === 0x1A && 
-        audioBuffer[1] === 0x45 && 
-        audioBuffer[2] === 0xDF && 
-        audioBuffer[3] === 0xA3) {
-      // WebM can contain different audio codecs (OPUS, Vorbis)
-      // Let's try different options if one doesn't work
-      encoding = 'OGG_OPUS';  // First try OPUS since it's most common in WebM
-      
-      // For WebM with OPUS, we need to let Google Speech API detect the sample rate
-      // This helps avoid the specific sample rate mismatch error
-      logger.info('WebM/EBML signature detected in buffer, using OGG_OPUS encoding with automatic sample rate detection');
-      sampleRateHertz = undefined;
-      
-      // WebM files often have 2 audio channels
-      webmDetected = true;
+    add(subject, metric, amount) {
+      const day = today();
+      let usage = daily.get(subject);
+      if (!usage || usage.day !== day) {
+        usage = { day };
+        daily.set(subject, usage);
+      }
+      usage[metric] = (usage[metric] || 0) + amount;
     }
-    // Check FLAC signature (fLaC)
-    else if (audioBuffer.length >= 4 && 
-             audioBuffer[0] === 0x66 && // 'f'
-             audioBuffer[1] === 0x4C && // 'L'
-             audioBuffer[2] === 0x61 && // 'a'
-             audioBuffer[3] === 0x43) { // 'C'
-      encoding = 'FLAC';
-      logger.info('FLAC signature detected in buffer');
-      // Let Google detect the sample rate from the FLAC header
-      sampleRateHertz = undefined;
+  };
+}
+
+/**
+ * Get the limited subjects of a request: its API key and, when known, its session
+ */
+function getLimitSubjects(apiKey, sessionId) {
+  const subjects = [{
+    appliesTo: 'key',
+    subject: `key:${apiKey.id}`,
+    limits: { ...RATE_LIMITS.key, ...apiKey.limits }
+  }];
+  
+  if (typeof sessionId === 'string' && sessionId) {
+    subjects.push({ appliesTo: 'session', subject: `session:${sessionId}`, limits: RATE_LIMITS.session });
+  }
+  return subjects;
+}
+
+/**
+ * Count a request against the per-minute limits and check the daily quotas
+ * 
+ * metrics lists the quotas the request draws on (llmTokens, sttSeconds,
+ * ttsChars); a quota that is already used up rejects it. Returns null if the
+ * request may proceed, otherwise { limit, appliesTo, retryAfter } with
+ * retryAfter in seconds.
+ */
+function checkRateLimits(apiKey, sessionId, metrics = []) {
+  const now = Date.now();
+  for (const { appliesTo, subject, limits } of getLimitSubjects(apiKey, sessionId)) {
+    if (limits.requestsPerMinute > 0) {
+      const { count, resetAt } = rateLimiter.hit(subject);
+      if (count > limits.requestsPerMinute) {
+        return { limit: 'requestsPerMinute', appliesTo, retryAfter: Math.ceil((resetAt - now) / 1000) };
+      }
     }
-    // Map MIME types to Google Speech API encoding values if no signature was detected
-    else if (mimeType) {
-      const lowercaseMimeType = mimeType.toLowerCase();
-      
-      if (lowercaseMimeType.includes('webm')) {
-        encoding = 'OGG_OPUS';  // WebM typically contains Opus audio
-        // For WebM, it's better to let Google detect the sample rate from the header
-        sampleRateHertz = undefined;
-        logger.info(`Using OGG_OPUS encoding with automatic sample rate detection for WebM`);
-        webmDetected = true;
+  }
+  
+  return checkQuotas(apiKey, sessionId, metrics);
+}
+
+/**
+ * Check the daily quotas of a request without counting it (see checkRateLimits)
+ */
+function checkQuotas(apiKey, sessionId, metrics) {
+  for (const { appliesTo, subject, limits } of getLimitSubjects(apiKey, sessionId)) {
+    for (const metric of metrics) {
+      const limit = QUOTA_LIMITS[metric];
+      if (limits[limit] > 0 && rateLimiter.used(subject, metric) >= limits[limit]) {
+        const nextDay = new Date();
+        nextDay.setUTCHours(24, 0, 0, 0);
+        return { limit, appliesTo, retryAfter: Math.ceil((nextDay.getTime() - Date.now()) / 1000) };
       }
-      else if (lowercaseMimeType.includes('flac')) {
-        encoding = 'FLAC';
-        
-        // Always set a sample rate for FLAC to avoid "bad sample rate hertz" error
-        // For chunked FLAC files that might not have proper headers
-        if (audioBuffer.length >= 4 && 
-            audioBuffer[0] === 0x66 && // 'f'
-            audioBuffer[1] === 0x4C && // 'L'
-            audioBuffer[2] === 0x61 && // 'a'
-            audioBuffer[3] === 0x43) { // 'C'
-          // If it has a valid signature, let Google detect the rate from the header
-          sampleRateHertz = undefined;
-          logger.info(`Using FLAC encoding with automatic sample rate detection`);
-        } else {
-          sampleRateHertz = 16000; // Default to 16kHz
-          logger.info(`Using FLAC encoding with explicit sample rate of ${sampleRateHertz}Hz because valid FLAC signature not found`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Record usage of a session: { promptTokens, completionTokens } of a model
+ * call, { sttSeconds } of speech recognition or { ttsChars } of speech
+ * synthesis, by the given { provider, model }
+ * 
+ * The usage counts towards the quotas of the session's API key and of the
+ * session itself, and is written to the usage log for GET /api/usage.
+ */
+function recordUsage(session, usage, { provider, model }) {
+  const { promptTokens = 0, completionTokens = 0, sttSeconds = 0, ttsChars = 0 } = usage;
+  
+  if (session.apiKey) {
+    const quotaUsage = { llmTokens: promptTokens + completionTokens, sttSeconds, ttsChars };
+    for (const { subject } of getLimitSubjects(session.apiKey, session.id)) {
+      for (const [metric, amount] of Object.entries(quotaUsage)) {
+        if (amount > 0) {
+          rateLimiter.add(subject, metric, amount);
         }
       }
-      else if (lowercaseMimeType.includes('mulaw')) {
-        encoding = 'MULAW';
-        logger.info(`Using MULAW encoding`);
-      }
-      else if (lowercaseMimeType.includes('amr_wb') || lowercaseMimeType.includes('amr-wb')) {
-        encoding = 'AMR_WB';
-        logger.info(`Using AMR_WB encoding`);
-      }
-      else if (lowercaseMimeType.includes('amr')) {
-        encoding = 'AMR';
-        logger.info(`Using AMR encoding`);
+    }
+  }
+  
+  usageMeter.record({
+    timestamp: new Date().toISOString(),
+    keyId: session.apiKey ? session.apiKey.id : null,
+    keyName: session.apiKey ? session.apiKey.name : null,
+    sessionId: session.id || null,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    sttSeconds: Math.round(sttSeconds * 1000) / 1000,
+    ttsChars
+  });
+}
+
+/**
+ * Create the append-only usage log
+ * 
+ * record(entry) buffers a usage record and appends bursts of records to the
+ * JSON Lines file about a second later. forEachRecord(callback) writes
+ * pending records and then calls callback with every record in the file.
+ */
+function createUsageMeter(filePath) {
+  let pendingRecords = [];
+  let writeTimer = null;
+  let writePromise = Promise.resolve();
+  
+  const flush = () => {
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    if (pendingRecords.length === 0) {
+      return writePromise;
+    }
+    
+    const lines = pendingRecords.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    pendingRecords = [];
+    writePromise = writePromise
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, lines);
+      })
+      .catch(error => logger.error(`Error writing usage records to ${filePath}:`, error));
+    return writePromise;
+  };
+  
+  return {
+    record(entry) {
+      if (!USAGE_METERING_ENABLED) {
+        return;
       }
-      else if (lowercaseMimeType.includes('opus') || lowercaseMimeType.includes('ogg')) {
-        encoding = 'OGG_OPUS';
-        // For Opus/OGG, let Google detect the sample rate
-        sampleRateHertz = undefined;
-        logger.info(`Using OGG_OPUS encoding with automatic sample rate detection`);
-        // OGG/OPUS files may also have 2 channels
-        webmDetected = true;
+      pendingRecords.push(entry);
+      if (!writeTimer) {
+        writeTimer = setTimeout(flush, 1000);
       }
-      else if (lowercaseMimeType.includes('speex')) {
-        encoding = 'SPEEX_WITH_HEADER_BYTE';
-        logger.info(`Using SPEEX_WITH_HEADER_BYTE encoding`);
+    },
+    
+    async forEachRecord(callback) {
+      await flush();
+      if (!fs.existsSync(filePath)) {
+        return;
       }
-      else if (lowercaseMimeType.includes('wav') || lowercaseMimeType.includes('linear') || lowercaseMimeType.includes('l16')) {
-        encoding = 'LINEAR16';
-        // Extract sample rate if provided
-        const sampleRateMatch = mimeType.match(/rate=(\d+)/);
-        if (sampleRateMatch && sampleRateMatch[1]) {
-          sampleRateHertz = parseInt(sampleRateMatch[1], 10);
+      
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
         }
-        logger.info(`Using LINEAR16 encoding with sample rate ${sampleRateHertz}Hz`);
-      }
-      else {
-        // Check binary data for format detection - looking for WebM/EBML or FLAC signatures
-        if (audioBuffer.length >= 4) {
-          // Check for WebM/EBML
-          if (audioBuffer[0] === 0x1A && audioBuffer[1] === 0x45 && 
-              audioBuffer[2] === 0xDF && audioBuffer[3] === 0xA3) {
-            encoding = 'OGG_OPUS';
-            sampleRateHertz = undefined; // Let Google detect
-            logger.info(`WebM/EBML signature detected in file with mime type "${mimeType}", using OGG_OPUS encoding with automatic sample rate detection`);
-            webmDetected = true;
-          }
-          // Check for FLAC
-          else if (audioBuffer[0] === 0x66 && audioBuffer[1] === 0x4C && 
-                  audioBuffer[2] === 0x61 && audioBuffer[3] === 0x43) {
-            encoding = 'FLAC';
-            sampleRateHertz = undefined; // Let Google detect
-            logger.info(`FLAC signature detected in file with mime type "${mimeType}", using FLAC encoding with automatic sample rate detection`);
-          }
-          // For MP3, look for ID3 header or MP3 frame sync
-          else if ((audioBuffer[0] === 0x49 && audioBuffer[1] === 0x44 && 
-                   audioBuffer[2] === 0x33) || // "ID3"
-                   ((audioBuffer[0] & 0xFF) === 0xFF && (audioBuffer[1] & 0xE0) === 0xE0)) { // MP3 frame sync
-            // Google Speech doesn't support MP3 directly, so we default to LINEAR16
-            encoding = 'LINEAR16';
-            logger.info(`MP3 signature detected in file with mime type "${mimeType}", using LINEAR16 encoding`);
-          }
-          else {
-            // Unrecognized format
-            encoding = 'LINEAR16';
-            logger.info(`No known audio signature detected in "${mimeType}" file, defaulting to LINEAR16 encoding`);
-          }
-        } else {
-          // Buffer too small to detect
-          encoding = 'LINEAR16';
-          logger.info(`Buffer too small to detect format in "${mimeType}" file, defaulting to LINEAR16 encoding`);
+        try {
+          callback(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Skipping malformed usage record in ${filePath}`);
         }
       }
+    },
+    
+    flush
+  };
+}
+
+/**
+ * Validate the query of GET /api/usage
+ * 
+ * Returns { options: { from, to, groupBy, format } } or { error }. The range
+ * defaults to the current UTC month up to today.
+ */
+function parseUsageQuery(query) {
+  const today = new Date().toISOString().slice(0, 10);
+  const from = query.from || `${today.slice(0, 7)}-01`;
+  const to = query.to || today;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  
+  if (![from, to].every(date => datePattern.test(date) && !Number.isNaN(Date.parse(date)))) {
+    return { error: 'from and to must be dates in the form YYYY-MM-DD' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  
+  const groupBy = query.groupBy === undefined
+    ? ['key', 'provider', 'model']
+    : String(query.groupBy).split(',').map(name => name.trim()).filter(Boolean);
+  if (!groupBy.every(name => USAGE_GROUP_BY.includes(name))) {
+    return { error: `groupBy must be a comma-separated list of: ${USAGE_GROUP_BY.join(', ')}` };
+  }
+  
+  const format = query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return { error: 'format must be json or csv' };
+  }
+  
+  return { options: { from, to, groupBy, format } };
+}
+
+/**
+ * Sum usage records per UTC day and the requested groups (key, session,
+ * provider, model)
+ * 
+ * Each row has the day, its group fields, calls (number of records) and the
+ * summed promptTokens, completionTokens, sttSeconds and ttsChars, plus cost
+ * when USAGE_PRICES is set.
+ */
+async function aggregateUsage({ from, to, groupBy }) {
+  const rows = new Map();
+  const withCost = Object.keys(USAGE_PRICES).length > 0;
+  
+  await usageMeter.forEachRecord((entry) => {
+    const day = entry.timestamp.slice(0, 10);
+    if (day < from || day > to) {
+      return;
     }
     
-    logger.info(`Speech recognition config: language=${detectedLanguageCode}, encoding=${encoding}, sample rate=${sampleRateHertz || 'auto'}`);
+    const group = { day };
+    if (groupBy.includes('key')) {
+      group.keyId = entry.keyId;
+      group.keyName = entry.keyName;
+    }
+    if (groupBy.includes('session')) {
+      group.sessionId = entry.sessionId;
+    }
+    if (groupBy.includes('provider')) {
+      group.provider = entry.provider;
+    }
+    if (groupBy.includes('model')) {
+      group.model = entry.model;
+    }
     
-    // Create the request with correct parameter types
-    const request = {
-      audio: {
-        content: audioBytes,
-      },
-      config: {
-        encoding: encoding,
-        languageCode: detectedLanguageCode,
-        model: "latest_long", // Use the "latest_long" model for better quality, especially with OGG_OPUS
-        useEnhanced: true,
-        enableAutomaticPunctuation: true,
-        profanityFilter: false, // Allow all words to improve recognition
-        enableWordTimeOffsets: false,
-        enableWordConfidence: true,
-      },
-    };
+    const rowKey = JSON.stringify([day, group.keyId, group.sessionId, group.provider, group.model]);
+    let row = rows.get(rowKey);
+    if (!row) {
+      row = { ...group, calls: 0, promptTokens: 0, completionTokens: 0, sttSeconds: 0, ttsChars: 0 };
+      if (withCost) {
+        row.cost = 0;
+      }
+      rows.set(rowKey, row);
+    }
     
-    // Set audio channel count based on detected format
-    if (webmDetected) {
-      // For WebM, either leave unspecified or use 2 channels as detected in the header
-      logger.info('Using 2 audio channels for WebM/OPUS format');
-      request.config.audioChannelCount = 2;
-    } else {
-      // For other formats, assume mono
-      request.config.audioChannelCount = 1; // Assume mono for voice recording
+    row.calls++;
+    row.promptTokens += entry.promptTokens || 0;
+    row.completionTokens += entry.completionTokens || 0;
+    row.sttSeconds += entry.sttSeconds || 0;
+    row.ttsChars += entry.ttsChars || 0;
+    if (withCost) {
+      row.cost += estimateUsageCost(entry);
+    }
+  });
+  
+  return [...rows.values()]
+    .map(row => ({
+      ...row,
+      sttSeconds: Math.round(row.sttSeconds * 1000) / 1000,
+      ...(withCost ? { cost: Math.round(row.cost * 1e6) / 1e6 } : {})
+    }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Estimate the cost of a usage record from USAGE_PRICES (0 if its model and provider have no price)
+ */
+function estimateUsageCost(entry) {
+  const price = USAGE_PRICES[entry.model] || USAGE_PRICES[entry.provider];
+  if (!price) {
+    return 0;
+  }
+  
+  return (entry.promptTokens || 0) / 1e6 * (price.promptPer1M || 0) +
+    (entry.completionTokens || 0) / 1e6 * (price.completionPer1M || 0) +
+    (entry.sttSeconds || 0) / 60 * (price.perMinute || 0) +
+    (entry.ttsChars || 0) / 1e6 * (price.per1MChars || 0);
+}
+
+/**
+ * Format usage rows as CSV with a header line
+ */
+function toUsageCsv(rows, groupBy) {
+  const columns = ['day'];
+  if (groupBy.includes('key')) {
+    columns.push('keyId', 'keyName');
+  }
+  if (groupBy.includes('session')) {
+    columns.push('sessionId');
+  }
+  columns.push(...groupBy.filter(name => name === 'provider' || name === 'model'));
+  columns.push('calls', 'promptTokens', 'completionTokens', 'sttSeconds', 'ttsChars');
+  if (rows.some(row => row.cost !== undefined)) {
+    columns.push('cost');
+  }
+  
+  // Quote fields that need it and keep spreadsheets from reading names as formulas
+  const formatField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  return [columns.join(','), ...rows.map(row => columns.map(column => formatField(row[column])).join(','))]
+    .join('\n') + '\n';
+}
+
+/**
+ * Describe an exceeded limit for error messages
+ */
+function describeRateLimit({ limit, appliesTo }) {
+  return `Rate limit exceeded: ${limit} of this ${appliesTo === 'key' ? 'API key' : 'session'}`;
+}
+
+/**
+ * Reject a REST request that exceeded a limit
+ */
+function sendRateLimited(res, exceeded) {
+  res.set('Retry-After', String(exceeded.retryAfter));
+  return res.status(429).json({
+    error: describeRateLimit(exceeded),
+    limit: exceeded.limit,
+    appliesTo: exceeded.appliesTo,
+    retryAfter: exceeded.retryAfter
+  });
+}
+
+/**
+ * Check the limits of a WebSocket request, sending a rate_limited error if one is exceeded
+ * 
+ * With countRequest false only the quotas are checked.
+ */
+function checkConnectionRateLimits(connectionData, metrics, { countRequest = true } = {}) {
+  const exceeded = countRequest
+    ? checkRateLimits(connectionData.apiKey, connectionData.id, metrics)
+    : checkQuotas(connectionData.apiKey, connectionData.id, metrics);
+  if (exceeded) {
+    sendToClient(connectionData.ws, {
+      type: 'error',
+      code: 'rate_limited',
+      error: describeRateLimit(exceeded),
+      limit: exceeded.limit,
+      appliesTo: exceeded.appliesTo,
+      retryAfter: exceeded.retryAfter
+    });
+  }
+  return !exceeded;
+}
+
+/**
+ * Create the structured logger
+ * 
+ * Each call writes one JSON line with the time, level and message plus the
+ * correlation ids of the current log context. Errors passed as arguments are
+ * reported in an error field; other arguments are appended to the message,
+ * with the values of secret-named fields redacted. Lines above LOG_LEVEL are
+ * dropped and secrets left in the text are redacted.
+ */
+function createLogger() {
+  const threshold = LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info;
+  
+  const write = (level, args) => {
+    if (LOG_LEVELS[level] > threshold) {
+      return;
     }
     
-    // Add alternative language codes to help with mixed-language speech detection
-    // This allows the API to automatically switch between English and Hindi
-    if (detectedLanguageCode === 'hi-IN') {
-      // For Hindi primary, add English as alternative
-      request.config.alternativeLanguageCodes = ['en-US', 'en-IN'];
-      logger.info('Added English as alternative language for Hindi speech recognition');
-    } else if (detectedLanguageCode === 'en-IN' || detectedLanguageCode === 'en-US') {
-      // For English primary, add Hindi as alternative
-      request.config.alternativeLanguageCodes = ['hi-IN'];
-      logger.info('Added Hindi as alternative language for English speech recognition');
-    }
+    const error = args.find(arg => arg instanceof Error);
+    const message = args
+      .filter(arg => !(arg instanceof Error))
+      .map(arg => typeof arg === 'string' ? arg : util.inspect(redactFields(arg), { depth: 4, breakLength: Infinity }))
+      .join(' ');
     
-    // Only set sample rate if it's defined (needed for most formats but not for FLAC)
-    if (sampleRateHertz !== undefined) {
-      request.config.sampleRateHertz = sampleRateHertz;
+    const entry = { time: new Date().toISOString(), level, msg: message, ...logContext.getStore() };
+    if (error) {
+      entry.error = {
+        name: error.name,
+        message: error.message,
+        status: error.status,
+        code: error.code,
+        stack: error.stack
+      };
     }
     
-    // Add speech contexts to help with recognition
-    if (detectedLanguageCode === 'hi-IN' || detectedLanguageCode === 'en-IN') {
-      // Add common Indian English and Hindi phrases to help recognition
-      request.config.speechContexts = [
-        {
-          phrases: [
-            "hello", "hi", "namaste", "how are you", "kaise ho", "what are you doing",
-            "kya kar rahe ho", "thank you", "dhanyavaad", "plant", "garden", "water",
-            "fertilizer", "paudha", "bagichaa", "paani", "khaad"
-          ],
-          boost: 10
-        }
-      ];
-      logger.info('Added speech context with common phrases for better recognition');
+    const stream = LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(redactSecrets(JSON.stringify(entry)) + '\n');
+  };
+  
+  return {
+    error: (...args) => write('error', args),
+    warn: (...args) => write('warn', args),
+    info: (...args) => write('info', args),
+    debug: (...args) => write('debug', args)
+  };
+}
+
+/**
+ * Copy a logged value with the values of secret-named fields redacted
+ * 
+ * Plain objects and arrays are copied down to the depth that is logged;
+ * an object under a secret name (e.g. an API key identity) is kept and only
+ * its own secret fields are redacted. Other values are returned as they are.
+ */
+function redactFields(value, depth = 0) {
+  if (Array.isArray(value)) {
+    return depth > 4 ? value : value.map(item => redactFields(item, depth + 1));
+  }
+  if (!value || typeof value !== 'object' || depth > 4) {
+    return value;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+  
+  const copy = {};
+  for (const [name, field] of Object.entries(value)) {
+    const isSecret = SECRET_FIELD_PATTERN.test(name) && field !== null && typeof field !== 'object';
+    copy[name] = isSecret ? '[REDACTED]' : redactFields(field, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Build the patterns used to redact secrets from log lines
+ * 
+ * Covers authorization headers (scheme and credentials), bearer tokens,
+ * known API key formats, private keys, secrets in query strings, passwords
+ * in URLs and the values of secret environment variables. Patterns run on
+ * the serialized JSON line, so replacements must not consume quotes or
+ * escapes. Fields of logged objects are redacted by name beforehand (see
+ * redactFields).
+ */
+function buildSecretPatterns(env) {
+  const patterns = [
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    /(\bauthorization\\?"?\s*[=:]\s*(?:\\"|')?)(?:[A-Za-z][A-Za-z0-9-]*\s+)?[^"'\s,;}\\]+/gi,
+    /(\bBearer\s+)[A-Za-z0-9._~+\/-]+=*/gi,
+    /\b(?:sk|gk)[-_][A-Za-z0-9_-]{8,}/g,
+    /\bAIza[A-Za-z0-9_-]{20,}/g,
+    /([?&](?:api[_-]?key|key|token|access_token|ticket|secret|password)=)[^&#\s"'\\]+/gi,
+    /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:\/@"]+:)[^\s@\/"]+(?=@)/gi
+  ].map(pattern => ({ pattern, replacement: pattern.source.startsWith('(') ? '$1[REDACTED]' : '[REDACTED]' }));
+  
+  // Exact values of environment variables named like secrets, as they appear in JSON
+  const secretNamePattern = /(?:^|_)(?:KEY|TOKEN|SECRET|PASSWORD|CREDENTIALS|CREDENTIALS_JSON)$/i;
+  for (const [name, value] of Object.entries(env)) {
+    if (secretNamePattern.test(name) && typeof value === 'string' && value.length >= 8) {
+      const escaped = JSON.stringify(value).slice(1, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      patterns.unshift({ pattern: new RegExp(escaped, 'g'), replacement: '[REDACTED]' });
     }
-    
-    // Perform the speech recognition
-    logger.info('Sending request to Google Speech-to-Text API...');
-    const [response] = await speechClient.recognize(request);
-    
-    // Log response for debugging
-    logger.info(`Speech recognition response: ${JSON.stringify(response, null, 2)}`);
-    
-    if (!response || !response.results || response.results.length === 0) {
-      logger.warn('Speech recognition returned no results');
-      
-      // If no results with OGG_OPUS encoding for WebM, try with a different encoding
-      if (webmDetected && encoding === 'OGG_OPUS') {
-        logger.info('Trying alternative approach for WebM: using LINEAR16 encoding...');
-        
-        // Update the request to use LINEAR16 encoding
-        request.config.encoding = 'LINEAR16';
-        request.config.sampleRateHertz = 16000; // Standard rate for LINEAR16
-        
-        try {
-          // Try recognition again with different encoding
-          const [alternativeResponse] = await speechClient.recognize(request);
-          logger.info(`Alternative speech recognition response: ${JSON.stringify(alternativeResponse, null, 2)}`);
-          
-          if (alternativeResponse && alternativeResponse.results && alternativeResponse.results.length > 0) {
-            // Get the transcription from the response
-            const alternativeTranscription = alternativeResponse.results
-              .map(result => result.alternatives[0].transcript)
-              .join('\n');
-            
-            logger.info(`Alternative speech recognition successful: "${alternativeTranscription}"`);
-            return alternativeTranscription;
-          }
-        } catch (alternativeError) {
-          logger.error('Error in alternative speech recognition approach:', alternativeError);
-        }
+  }
+  
+  return patterns;
+}
+
+/**
+ * Replace secrets in a log line with [REDACTED]
+ */
+function redactSecrets(line) {
+  return secretPatterns.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), line);
+}
+
+/**
+ * Add correlation ids to the current log context
+ * 
+ * The context object is shared by everything running under it, e.g. a
+ * connection's sessionId changes when the client attaches another session.
+ */
+function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Run a function with extra correlation ids (e.g. a turn id) in its log lines
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Format user content (messages, transcripts, replies) for a log line
+ * 
+ * The text itself is only logged when LOG_TRANSCRIPTS is enabled; otherwise
+ * just its length.
+ */
+function describeTranscript(text) {
+  const value = typeof text === 'string' ? text : '';
+  return LOG_TRANSCRIPTS ? `"${value}"` : `[${value.length} characters]`;
+}
+
+/**
+ * Validate API key fields from a request body
+ * 
+ * Returns { fields } with the normalized values, or { error }. With
+ * partial set (updates) every field is optional; otherwise name and scopes
+ * are required.
+ */
+function parseApiKeyFields(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+  
+  const fields = {};
+  
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    fields.name = body.name.trim().slice(0, 100);
+  } else if (!partial) {
+    return { error: 'name is required' };
+  }
+  
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 ||
+        !body.scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      return { error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    fields.scopes = [...new Set(body.scopes)];
+  } else if (!partial) {
+    return { error: 'scopes is required' };
+  }
+  
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      fields.expiresAt = null;
+    } else {
+      const timestamp = Date.parse(body.expiresAt);
+      if (typeof body.expiresAt !== 'string' || Number.isNaN(timestamp)) {
+        return { error: 'expiresAt must be an ISO 8601 date or null' };
       }
-      
-      return null;
+      fields.expiresAt = new Date(timestamp).toISOString();
     }
-    
-    // Detect actual language used in the recognition
-    let detectedActualLanguage = null;
-    if (response.results[0] && response.results[0].languageCode) {
-      detectedActualLanguage = response.results[0].languageCode;
-      logger.info(`Google detected actual speech language: ${detectedActualLanguage}`);
+  }
+  
+  if (body.disabled !== undefined) {
+    if (typeof body.disabled !== 'boolean') {
+      return { error: 'disabled must be a boolean' };
     }
-    
-    // Get the transcription from the response
-    const transcription = response.results
-      .map(result => result.alternatives[0].transcript)
-      .join('\n');
-    
-    logger.info(`Speech recognition successful: "${transcription}"`);
-    return transcription;
-  } catch (error) {
-    logger.error('Error in speech-to-text:', error);
-    // Log more details about the error
-    if (error.details) {
-      logger.error('Error details:', error.details);
+    fields.disabled = body.disabled;
+  }
+  
+  // Overrides of the default key limits; replaces all previous overrides
+  if (body.limits !== undefined) {
+    if (!body.limits || typeof body.limits !== 'object' || Array.isArray(body.limits)) {
+      return { error: 'limits must be an object' };
     }
-    if (error.code) {
-      logger.error(`Error code: ${error.code}`);
+    for (const [name, value] of Object.entries(body.limits)) {
+      if (!RATE_LIMIT_NAMES.includes(name)) {
+        return { error: `Unknown limit "${name}", expected one of: ${RATE_LIMIT_NAMES.join(', ')}` };
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `limits.${name} must be a non-negative integer (0 = unlimited)` };
+      }
     }
-    return null;
+    fields.limits = { ...body.limits };
+  }
+  
+  // User the key acts for (null for none; keys with the any-user scope act for everyone)
+  if (body.userId !== undefined) {
+    if (body.userId !== null && (typeof body.userId !== 'string' || !USER_ID_PATTERN.test(body.userId))) {
+      return { error: 'userId must be a valid user id or null' };
+    }
+    fields.userId = body.userId;
+  }
+  
+  return { fields };
+}
+
+/**
+ * Build the system message describing the session user's plants
+ * 
+ * Plants mentioned in the message (by species or nickname) come first,
+ * then the most recently updated ones, up to MAX_CONTEXT_PLANTS.
+ */
+async function buildPlantCollectionMessages(session, userMessage) {
+  if (!session.userId) {
+    return [];
+  }
+  
+  let plants;
+  try {
+    plants = await userStore.listPlants(session.userId);
+  } catch (error) {
+    logger.error(`Error loading plants of user ${session.userId}:`, error);
+    return [];
+  }
+  
+  if (plants.length === 0) {
+    return [];
   }
+  
+  const text = userMessage.toLowerCase();
+  const isMentioned = (plant) => [plant.nickname, ...plant.species.split(/\s+/)]
+    .some(word => word && word.length > 2 && text.includes(word.toLowerCase()));
+  
+  const relevantPlants = [...plants]
+    .sort((a, b) => (isMentioned(b) - isMentioned(a)) || (b.updatedAt - a.updatedAt))
+    .slice(0, MAX_CONTEXT_PLANTS);
+  
+  const formatDate = (value) => value.slice(0, 10);
+  const lines = relevantPlants.map(plant => {
+    const details = [
+      plant.location,
+      plant.potSizeCm && `${plant.potSizeCm} cm pot`,
+      plant.lastWatered && `last watered ${formatDate(plant.lastWatered)}`,
+      plant.lastFertilized && `last fertilized ${formatDate(plant.lastFertilized)}`,
+    ].filter(Boolean);
+    
+    const name = plant.nickname ? `"${plant.nickname}" (${plant.species})` : plant.species;
+    return `- ${name}${details.length > 0 ? `: ${details.join(', ')}` : ''}`;
+  });
+  
+  return [{
+    role: 'system',
+    content: `Today is ${formatDate(new Date().toISOString())}. The user's plant collection:\n${lines.join('\n')}\nWhen the user refers to one of these plants, use these details instead of asking again.`
+  }];
 }
 
 /**
@@ -1134,6 +5780,15 @@ function sendToClient(ws, data) {
   }
 }
 
+/**
+ * Send a binary frame to client
+ */
+function sendBinaryToClient(ws, frame) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(frame, { binary: true });
+  }
+}
+
 /**
  * Send error to client
  */
@@ -1147,7 +5802,7 @@ function sendError(ws, errorMessage) {
 // Add new API endpoints for voice management
 
 // 1. List available voices
-app.get('/api/list-voices', authenticateRequest, async (req, res) => {
+app.get('/api/list-voices', authenticateRequest, requireScope('voice'), async (req, res) => {
   try {
     // Define the only voices we want to support
     const supportedVoices = [
@@ -1184,7 +5839,7 @@ app.get('/api/list-voices', authenticateRequest, async (req, res) => {
 });
 
 // 2. Preview a voice
-app.get('/api/preview-voice', authenticateRequest, async (req, res) => {
+app.get('/api/preview-voice', authenticateRequest, requireScope('preview-voice'), limitRequests('ttsChars'), async (req, res) => {
   try {
     const { voiceName, text } = req.query;
     
@@ -1204,6 +5859,7 @@ app.get('/api/preview-voice', authenticateRequest, async (req, res) => {
     const audioBuffer = await textToSpeech(text, voiceConfig);
     
     if (audioBuffer) {
+      recordUsage({ apiKey: req.apiKey }, { ttsChars: text.length }, { provider: 'google-tts', model: voiceName });
       res.json({
         audio: audioBuffer.toString('base64'),
         format: 'mp3'
@@ -1217,8 +5873,261 @@ app.get('/api/preview-voice', authenticateRequest, async (req, res) => {
   }
 });
 
+// List configured LLM providers and their models
+app.get('/api/models', authenticateRequest, requireScope('chat'), (req, res) => {
+  try {
+    const models = [];
+    for (const provider of llmProviders.values()) {
+      for (const modelId of provider.models) {
+        models.push({
+          id: modelId,
+          type: provider.type,
+          provider: provider.name,
+          default: modelId === provider.defaultModel
+        });
+      }
+    }
+    
+    res.json(models);
+  } catch (error) {
+    logger.error('Error listing models:', error);
+    res.status(500).json({ error: 'Failed to list models' });
+  }
+});
+
+// List the available personas
+app.get('/api/personas', authenticateRequest, requireScope('chat'), (req, res) => {
+  res.json([...personaTemplates.keys()].map(name => ({
+    name,
+    default: name === DEFAULT_PERSONA
+  })));
+});
+
+// Re-read the knowledge base after care guides were added or edited
+app.post('/api/knowledge/reload', authenticateRequest, requireScope('admin'), (req, res) => {
+  try {
+    knowledgeIndex = buildKnowledgeIndex(loadKnowledgePassages(KNOWLEDGE_BASE_DIR));
+    res.json({ passages: knowledgeIndex.documents.length });
+  } catch (error) {
+    logger.error('Error reloading knowledge base:', error);
+    res.status(500).json({ error: 'Failed to reload knowledge base' });
+  }
+});
+
+// Plant collection of a user
+app.get('/api/users/:id/plants', authenticateRequest, requireScope('chat'), authorizeUser, async (req, res) => {
+  try {
+    const plants = await userStore.listPlants(req.params.id);
+    res.json({ userId: req.params.id, plants });
+  } catch (error) {
+    logger.error('Error listing plants:', error);
+    res.status(500).json({ error: 'Failed to list plants' });
+  }
+});
+
+app.post('/api/users/:id/plants', authenticateRequest, requireScope('chat'), authorizeUser, async (req, res) => {
+  try {
+    const { fields, error } = parsePlantFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const plant = await userStore.addPlant(req.params.id, fields);
+    res.status(201).json(plant);
+  } catch (error) {
+    logger.error('Error adding plant:', error);
+    res.status(500).json({ error: 'Failed to add plant' });
+  }
+});
+
+app.get('/api/users/:id/plants/:plantId', authenticateRequest, requireScope('chat'), authorizeUser, async (req, res) => {
+  try {
+    const plant = await userStore.getPlant(req.params.id, req.params.plantId);
+    if (!plant) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+    
+    res.json(plant);
+  } catch (error) {
+    logger.error('Error getting plant:', error);
+    res.status(500).json({ error: 'Failed to get plant' });
+  }
+});
+
+app.patch('/api/users/:id/plants/:plantId', authenticateRequest, requireScope('chat'), authorizeUser, async (req, res) => {
+  try {
+    const { fields, error } = parsePlantFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const plant = await userStore.updatePlant(req.params.id, req.params.plantId, fields);
+    if (!plant) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+    
+    res.json(plant);
+  } catch (error) {
+    logger.error('Error updating plant:', error);
+    res.status(500).json({ error: 'Failed to update plant' });
+  }
+});
+
+app.delete('/api/users/:id/plants/:plantId', authenticateRequest, requireScope('chat'), authorizeUser, async (req, res) => {
+  try {
+    const deleted = await userStore.deletePlant(req.params.id, req.params.plantId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting plant:', error);
+    res.status(500).json({ error: 'Failed to delete plant' });
+  }
+});
+
+// API keys (admin scope); the raw key is only returned when it is created
+app.get('/api/admin/keys', authenticateRequest, requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await apiKeyStore.list());
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+app.post('/api/admin/keys', authenticateRequest, requireScope('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseApiKeyFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { key, record } = await apiKeyStore.create(fields);
+    logger.info(`API key ${record.id} ("${record.name}") created by ${req.apiKey.name}`);
+    res.status(201).json({ ...record, key });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.patch('/api/admin/keys/:id', authenticateRequest, requireScope('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseApiKeyFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const record = await apiKeyStore.update(req.params.id, fields);
+    if (!record) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    logger.info(`API key ${record.id} ("${record.name}") updated by ${req.apiKey.name}`);
+    refreshKeyConnections(record.id, await apiKeyStore.getIdentity(record.id));
+    res.json(record);
+  } catch (error) {
+    logger.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+app.delete('/api/admin/keys/:id', authenticateRequest, requireScope('admin'), async (req, res) => {
+  try {
+    const deleted = await apiKeyStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    logger.info(`API key ${req.params.id} revoked by ${req.apiKey.name}`);
+    closeKeyConnections(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Prometheus metrics (scrape with an API key that has the metrics scope, e.g. as api_key param)
+app.get('/metrics', authenticateRequest, requireScope('metrics'), async (req, res) => {
+  try {
+    res.type(metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+// Daily usage for cost reporting, as JSON or CSV (?format=csv)
+app.get('/api/usage', authenticateRequest, requireScope('admin'), async (req, res) => {
+  try {
+    const { options, error } = parseUsageQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const rows = await aggregateUsage(options);
+    
+    if (options.format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`usage-${options.from}-to-${options.to}.csv`);
+      return res.send(toUsageCsv(rows, options.groupBy));
+    }
+    
+    const totals = { calls: 0, promptTokens: 0, completionTokens: 0, sttSeconds: 0, ttsChars: 0 };
+    for (const row of rows) {
+      for (const name of Object.keys(totals)) {
+        totals[name] += row[name];
+      }
+      if (row.cost !== undefined) {
+        totals.cost = (totals.cost || 0) + row.cost;
+      }
+    }
+    totals.sttSeconds = Math.round(totals.sttSeconds * 1000) / 1000;
+    if (totals.cost !== undefined) {
+      totals.cost = Math.round(totals.cost * 1e6) / 1e6;
+    }
+    
+    res.json({ from: options.from, to: options.to, groupBy: options.groupBy, rows, totals });
+  } catch (error) {
+    logger.error('Error reporting usage:', error);
+    res.status(500).json({ error: 'Failed to report usage' });
+  }
+});
+
 // Start the server
-const PORT = process.env.PORT || 3000;
+const PORT = config.PORT;
 server.listen(PORT, () => {
   logger.info(`Botanist AI Voice MCP Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Write pending session, user profile, API key and usage changes before the process exits (e.g. during a redeploy)
+const shutdown = async (signalName) => {
+  logger.info(`Received ${signalName}, shutting down`);
+  try {
+    await sessionStore.flush();
+  } catch (error) {
+    logger.error('Error flushing session store:', error);
+  }
+  try {
+    await userStore.flush();
+  } catch (error) {
+    logger.error('Error flushing user store:', error);
+  }
+  try {
+    await apiKeyStore.flush();
+  } catch (error) {
+    logger.error('Error flushing API key store:', error);
+  }
+  try {
+    await usageMeter.flush();
+  } catch (error) {
+    logger.error('Error flushing usage log:', error);
+  }
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -4,11 +4,14 @@ const path = require('path');
 const API_KEY = 'greenur_botanist_secret_734fd98a15e3b94c';
 
 // Create WebSocket connection to local server
-const socket = new WebSocket(`ws://localhost:8080?api_key=${API_KEY}`);
+const socket = new WebSocket('ws://localhost:8080', { headers: { 'X-API-Key': API_KEY } });
 
 // Record start time for measuring connection duration
 const startTime = Date.now();
 
+// Audio chunks of the current reply
+const audioChunks = [];
+
 // Connection opened
 socket.on('open', function() {
   console.log(`[${(Date.now() - startTime)/1000}s] Connected to local server`);
@@ -19,6 +22,7 @@ socket.on('open', function() {
     modelId: 'gemini-2.0-flash',
     modelType: 'gemini',
     audioSession: true,
+    legacyAudioMessage: false, // Play the streamed audio_chunk events only
     voice: 'en-IN-Chirp3-HD-Orus'
   };
   
@@ -47,18 +51,31 @@ socket.on('message', function(data) {
       console.log(`Transcript: ${message.text}`);
     } else if (message.type === 'bot_message') {
       console.log(`Bot response: ${message.text.substring(0, 150)}${message.text.length > 150 ? '...' : ''}`);
-    } else if (message.type === 'audio_message') {
-      console.log(`Audio response received (${message.audio.length} bytes)`);
+    } else if (message.type === 'bot_message_done' && message.interrupted) {
+      // An interrupted reply gets no final audio chunk, so drop its audio here
+      audioChunks.length = 0;
+    } else if (message.type === 'audio_chunk') {
+      if (message.audio) {
+        console.log(`Audio chunk ${message.sequence} received (${message.audio.length} bytes)`);
+        audioChunks.push(Buffer.from(message.audio, 'base64'));
+      }
+      
+      // Wait until the whole reply has been spoken
+      if (!message.final) {
+        return;
+      }
       
-      // Save the audio to a file
-      const audioBuffer = Buffer.from(message.audio, 'base64');
+      // Save the audio to a file (MP3 chunks can simply be concatenated) and
+      // start over for the next reply
+      const audioBuffer = Buffer.concat(audioChunks);
+      audioChunks.length = 0;
       fs.writeFileSync('response.mp3', audioBuffer);
       console.log(`Saved audio response to response.mp3`);
       
       // Test audio transcription by sending the audio back
       setTimeout(() => {
         console.log(`Testing audio transcription by sending audio back...`);
-        const audio = message.audio;
+        const audio = audioBuffer.toString('base64');
         
         // Split the audio into chunks to simulate real-world conditions
         const chunkSize = 4000;
@@ -11,7 +11,7 @@ const path = require('path');
 // Configuration
 const PORT = 8080; // Use 8080 instead of 3000 to match .env configuration
 const API_KEY = 'greenur_botanist_secret_734fd98a15e3b94c';
-const WS_URL = `ws://localhost:${PORT}?api_key=${API_KEY}`;
+const WS_URL = `ws://localhost:${PORT}`;
 const TEST_AUDIO_FILE = path.resolve(__dirname, 'test_files/test_voice.flac');
 
 // Add option to specify audio format from command line
@@ -20,7 +20,7 @@ console.log(`Using audio format: ${audioFormat}`);
 
 // Connect to WebSocket
 console.log(`Connecting to WebSocket server at ${WS_URL}...`);
-const socket = new WebSocket(WS_URL);
+const socket = new WebSocket(WS_URL, { headers: { 'X-API-Key': API_KEY } });
 
 // Connection opened
 socket.addEventListener('open', (event) => {
@@ -65,17 +65,23 @@ socket.addEventListener('message', (event) => {
       case 'bot_message':
         console.log('Bot response:', data.text);
         break;
-      case 'audio_message':
+      case 'audio_chunk':
+        if (!data.audio) {
+          break;
+        }
+        
         const audioSize = (data.audio.length * 3) / 4; // Estimate size from base64
-        console.log(`Received audio response (approx. ${Math.round(audioSize / 1024)}KB)`);
+        console.log(`Received audio chunk ${data.sequence} (approx. ${Math.round(audioSize / 1024)}KB)${data.final ? ' - final' : ''}`);
         
-        // Optionally save the audio response
+        // Optionally save the audio response (chunks are appended in sequence order)
         const outputPath = path.resolve(__dirname, 'test_response.mp3');
-        fs.writeFileSync(
-          outputPath, 
-          Buffer.from(data.audio, 'base64')
-        );
-        console.log(`Audio response saved to ${outputPath}`);
+        const chunkBuffer = Buffer.from(data.audio, 'base64');
+        if (data.sequence === 0) {
+          fs.writeFileSync(outputPath, chunkBuffer);
+        } else {
+          fs.appendFileSync(outputPath, chunkBuffer);
+        }
+        console.log(`Audio chunk saved to ${outputPath}`);
         break;
       case 'error':
         console.error('Server error:', data.error);